@@ -6,7 +6,7 @@
  *  Disclaimer: This is beta software, so quirks and bugs are expected. Please report back.
  */
 
-const version = 24313;
+const version = 26292;
 const className = "lgtv";
 const ns = "x_lgtv"
 const ignoredValue = "@@IGNORED@@"
@@ -14,318 +14,2391 @@ const ignoredValue = "@@IGNORED@@"
 const Controller = require("server/lib/Controller");
 const Capabilities = require("server/lib/Capabilities");
 
-const LGTV = require('lgtv2');
+const LGTV = require('./lgtv2');
+
+const dgram = require("dgram");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const path = require("path");
+const mkdirp = require("mkdirp");
 
 const Logger = require("server/lib/Logger");
 Logger.getLogger('LGTVController', 'Controller').always("Module LGTVController v%1", version);
 
-const util = require("server/lib/util");
+const util = require("server/lib/util");
+
+const TimerBroker = require("server/lib/TimerBroker");
+
+const debounce = (callback, wait) => {
+	let timeoutId = null;
+	return (...args) => {
+		clearTimeout(timeoutId);
+		timeoutId = setTimeout(() => {
+			callback.apply(null, args);
+		}, wait);
+	};
+}
+
+/* TV power states, as reported by com.webos.service.tvpower */
+const powerStates = {
+	"Active": "active",
+	"Screen Off": "screen_off",
+	"Active Standby": "active_standby",
+	"Suspend": "suspend",
+	"Power Off": "power_off",
+};
+
+/* Media play states, as reported by com.webos.media */
+const playbackStates = {
+	"playing": "playing",
+	"paused": "paused",
+	"buffering": "buffering",
+	"loaded": "stopped",
+	"unloaded": "stopped",
+	"stopped": "stopped",
+};
+
+/* Buttons supported by the pointer input socket */
+const buttons = [
+	"HOME", "BACK", "EXIT", "MENU", "QMENU", "INFO", "GUIDE", "LIST",
+	"UP", "DOWN", "LEFT", "RIGHT", "ENTER",
+	"0", "1", "2", "3", "4", "5", "6", "7", "8", "9", "DASH", "ASTERISK",
+	"RED", "GREEN", "YELLOW", "BLUE",
+	"PLAY", "PAUSE", "STOP", "REWIND", "FASTFORWARD", "RECORD",
+	"VOLUMEUP", "VOLUMEDOWN", "MUTE", "CHANNELUP", "CHANNELDOWN",
+	"CC", "AD", "SAP", "3D_MODE",
+];
+
+/* Pairing manifest, and permission sets selectable via config */
+const pairing = require('./lgtv2/pairing.json');
+const permissionSets = {
+	"readonly": /^READ_/,
+	"basic": /^(READ_|LAUNCH$|CLOSE$|CONTROL_AUDIO$|CONTROL_POWER$|CONTROL_DISPLAY$|CONTROL_INPUT_|WRITE_NOTIFICATION_TOAST$)/,
+};
+
+/* Preset steps: step => action, and state confirming the step */
+const presetSteps = {
+	"app": { action: `${ns}.launch_app`, params: (value) => ({ app: value }) },
+	"input": { action: "av_source.select", params: (value) => ({ source: value }) },
+	"volume": { action: "volume.set", params: (value) => ({ value: value / 100 }) },
+	"mute": { action: "muting.set", params: (value) => ({ muting: String(value === true || value === 'true') }) },
+	"sound_output": { action: `${ns}_sound_output.set_sound_output`, params: (value) => ({ output: value }) },
+	"picture_mode": { action: `${ns}_settings.set_picture_mode`, params: (value) => ({ mode: value }) },
+	"notification": { action: `${ns}.send_notification`, params: (value) => ({ text: value }) },
+	"wait_app": {},
+	"delay": {},
+};
+
+/* Optional capabilities, registered only when the TV has the webOS version and the service used by their actions */
+const features = {
+	[`${ns}_channels`]: { service: "tv" },
+	[`${ns}_settings`]: { webos: 4 },
+	[`${ns}_alerts`]: { webos: 4 },
+	[`${ns}_sound_output`]: { webos: 4 },
+	[`${ns}_capture`]: { webos: 4, service: "tv" },
+};
+
+/* Sound outputs, as reported by volumeStatus.soundOutput: id => name */
+const soundOutputs = {
+	"tv_speaker": "TV Speaker",
+	"external_arc": "HDMI ARC",
+	"external_optical": "Optical",
+	"bt_soundbar": "Bluetooth",
+	"headphone": "Headphones",
+	"lineout": "Line Out",
+	"mobile_phone": "Mobile Phone",
+	"tv_external_speaker": "TV Speaker + Optical",
+	"tv_speaker_headphone": "TV Speaker + Headphones",
+};
+
+/* Picture and sound settings, by category: setting => attribute */
+const systemSettings = {
+	"picture": {
+		"pictureMode": "picture_mode",
+		"backlight": "backlight",
+		"oledLight": "oled_light",
+		"contrast": "contrast",
+		"energySaving": "energy_saving",
+	},
+	"sound": {
+		"soundMode": "sound_mode",
+		"smartSoundMode": "ai_sound",
+	},
+};
+const numericSettings = ["backlight", "oledLight", "contrast"];
+
+/* With alert_responses, alert buttons report the choice by writing these settings, as alerts can only call services on the TV.
+   Closing the alert writes its own setting, so it never overwrites the button */
+const alertResponse = { category: "other", button: "reactorAlertButton", closed: "reactorAlertClosed" };
+
+/* SSDP search target for webOS TVs */
+const ssdpTarget = "urn:lge-com:service:webos-second-screen:1";
+
+/* normalizeMac() returns a lowercase, colon separated MAC address or undefined */
+const normalizeMac = (mac) => {
+	var hex = (mac ?? '').toString().replace(/[^0-9a-f]/gi, '').toLowerCase();
+	return hex.length === 12 && !/^0+$/.test(hex) ? hex.match(/../g).join(':') : undefined;
+}
+
+/* arpLookup() returns the MAC address for an IP address, from the ARP cache (Linux only) */
+const arpLookup = (address) => {
+	try {
+		var entry = fs.readFileSync('/proc/net/arp', 'utf8').split('\n')
+			.map(line => line.trim().split(/\s+/))
+			.find(fields => fields[0] === address);
+		return normalizeMac(entry?.[3]);
+	}
+	catch (err) {
+		return undefined;
+	}
+}
+
+/* parseObject() accepts an object or its JSON representation */
+const parseObject = (value) => {
+	if (value === undefined || value === null || value === '') return undefined;
+	if (typeof value === 'object') return value;
+	return JSON.parse(value);
+}
+
+/* dateKey() returns the local date as YYYY-MM-DD */
+const dateKey = (time) => {
+	var date = new Date(time);
+	return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/* inTimeRange() checks if the time of day is in the "HH:MM" range, which can span midnight (ie: from 22:00 to 07:00) */
+const inTimeRange = (date, from, to) => {
+	var toMinutes = (time) => {
+		var [h, m] = String(time ?? '').split(':').map(v => parseInt(v, 10));
+		return isNaN(h) ? undefined : h * 60 + (m || 0);
+	};
+
+	var minutes = date.getHours() * 60 + date.getMinutes();
+	from = toMinutes(from);
+	to = toMinutes(to);
+	if (from === undefined || to === undefined) return false;
+	return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+/* getPath() returns the value at a path expression (ie: "volumeStatus.soundOutput" or "devices[0].label") */
+const getPath = (object, path) => {
+	var keys = String(path ?? '').split(/[.[\]]+/).filter(key => key !== '');
+	return keys.reduce((value, key) => value?.[key], object);
+}
+
+/* parseProgramTime() parses program times ("2023,10,19,20,30,00" in local time, or ISO) to ms */
+const parseProgramTime = (value) => {
+	if (!value) return undefined;
+
+	var parts = String(value).split(',').map(v => parseInt(v, 10));
+	var time = parts.length >= 5 ?
+		new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5] || 0).getTime() :
+		Date.parse(value);
+	return isNaN(time) ? undefined : time;
+}
+
+/* download() returns the content of an http(s) URL, following redirects. Options are passed to http(s).get (ie: rejectUnauthorized) */
+const download = (url, options, redirects = 5) => new Promise((resolve, reject) => {
+	var client = /^https:/i.test(url) ? https : http;
+	var req = client.get(url, { timeout: 15_000, ...options }, (res) => {
+		if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+			res.resume();
+			download(new URL(res.headers.location, url).href, options, redirects - 1).then(resolve, reject);
+			return;
+		}
+		if (res.statusCode !== 200) {
+			res.resume();
+			reject(new Error(`can't download ${url}: ${res.statusCode}`));
+			return;
+		}
+
+		var chunks = [];
+		res.on('data', chunk => chunks.push(chunk));
+		res.on('end', () => resolve(Buffer.concat(chunks)));
+		res.on('error', reject);
+	});
+
+	req.on('timeout', () => req.destroy(new Error(`can't download ${url}: timeout`)));
+	req.on('error', reject);
+});
+
+var impl = false;  /* Implementation data, one copy for all instances, will be loaded by start() later */
+
+module.exports = class LGTVController extends Controller {
+	constructor(struct, id, config) {
+		super(struct, id, config);  /* required *this.*/
+
+		this.tvs = new Map();       /* TVs, by entity id */
+		this.announced = new Set(); /* Discovered TVs (uuid) already announced */
+		this.ssdp = undefined;
+		this.discoveryTimer = undefined;
+
+		this.stopping = false;      /* Flag indicates we're stopping */
+
+		this.state = {};            /* Persisted data, see loadState() */
+
+		// a single TV is mapped to the system entity, so we do not need the group
+		if (!Array.isArray(config?.tvs))
+			this.removeControllerGroup();
+	}
+
+	/** Start the controller. */
+	async start() {
+		if (!this.config.host && !Array.isArray(this.config.tvs) && this.config.discovery === false) {
+			this.log.err("%1 No host configured", this);
+			return Promise.reject("No host configured");
+		}
+
+		/** Load implementation data if not yet loaded. Remove this if you don't
+		 *  use implementation data files.
+		 */
+		if (false === impl) {
+			impl = await this.loadBaseImplementationData(className, __dirname);
+		}
+
+		this.log.debug(5, "%1 starting", this);
+
+		this.loadState();
+
+		this.stopping = false;
+		this.run();
+
+		return this;
+	}
+
+	/* Stop the controller. */
+	async stop() {
+		this.log.debug(5, "%1 stopping", this);
+		this.stopping = true;
+
+		this.stopDiscovery();
+		this.tvs.forEach(tv => this.stopClient(tv));
+		this.tvs.clear();
+
+		/* Required ending */
+		return await super.stop();
+	}
+
+	/* run() is called when Controller's single-simple timer expires. */
+	run() {
+		this.log.debug(5, "%1 running", this);
+
+		this.startTVs();
+		this.startDiscovery();
+	}
+
+	/* startTVs() creates a client for each configured TV, restarting the ones whose config changed. Returns the started ids */
+	startTVs() {
+		var { tvs, ...defaults } = this.config;
+
+		// legacy configuration: a single TV, mapped to the system entity
+		var list = Array.isArray(tvs) ? tvs : (defaults.host ? [{ id: "system" }] : []);
+
+		var ids = new Set();
+		var started = new Set();
+		list.forEach((config, index) => {
+			var id = String(config.id ?? `tv${index + 1}`);
+			if (ids.has(id)) {
+				this.log.err("%1 Duplicate TV id %2 - ignored", this, id);
+				return;
+			}
+
+			ids.add(id);
+			config = { ...defaults, ...config };
+
+			var tv = this.tvs.get(id);
+			if (tv && JSON.stringify(tv.config) === JSON.stringify(config)) return;
+
+			if (tv) {
+				this.log.notice("%1 LG TV %2 config changed - restarting", this, tv.host);
+				this.stopClient(tv);
+				tv.config = config;
+			}
+			else {
+				tv = this.createTV(id, config);
+				this.tvs.set(id, tv);
+			}
+
+			this.startClient(tv);
+			started.add(id);
+		});
+
+		// TVs removed from config
+		this.tvs.forEach((tv, id) => {
+			if (ids.has(id)) return;
+
+			this.log.notice("%1 LG TV %2 removed from config", this, tv.host);
+			this.stopClient(tv);
+			tv.entity?.markDead(true);
+			this.tvs.delete(id);
+		});
+
+		return started;
+	}
+
+	/* createTV() returns the runtime data for a TV */
+	createTV(id, config) {
+		this.state.tvs = this.state.tvs ?? {};
+		this.state.tvs[id] = this.state.tvs[id] ?? {};
+
+		return {
+			id: id,
+			config: config,
+			state: this.state.tvs[id], /* Persisted data (MAC address, uuid, etc.) */
+			host: undefined,
+			entity: undefined,
+			lgtv: undefined,
+			connected: false,
+			failures: 0,               /* Errors since last connection */
+			reconnects: 0,             /* Reconnection attempts */
+			powerState: 'power_off',
+			apps: new Map(),           /* Installed apps: id => title */
+			inputs: [],                /* External inputs */
+			channels: [],              /* Live TV channels */
+			channelSubscription: undefined,
+			volume: undefined,         /* Current volume (0-100) */
+			muted: undefined,
+			soundOutput: undefined,
+			ramp: undefined,           /* Running volume ramp */
+			adjustVolume: undefined,   /* false when the volume of the sound output isn't controlled by the TV */
+			settings: {},              /* Picture and sound settings */
+			settingValues: {},         /* Values supported by each setting, by category */
+			directSettings: undefined, /* Settings can be changed over ssap, once known */
+			alerts: new Map(),         /* Open alerts, waiting for a response or a timeout: key => alert */
+			alertCount: 0,             /* Alerts sent, making keys unique */
+			foregroundApp: undefined,
+			queue: [],                 /* Actions waiting for the connection */
+			queueRunning: false,       /* A queued action is running */
+			session: undefined,        /* Watching session: source, start and last accounted time */
+			screenTimeTimer: undefined,
+			screenTimeChanged: false,  /* Daily buckets changed since last saved */
+			screenTimeSaved: Date.now(), /* Time the daily buckets were last saved */
+			parentalBlock: undefined,  /* Last blocked app and reason, notified once */
+			unknownSources: new Set(), /* Parental rule sources not found, warned once */
+		};
+	}
+
+	/* getHost() returns the TV address: the configured one, unless the TV was found at a new address */
+	getHost(tv) {
+		return tv.state.host && tv.state.configuredHost === tv.config.host ? tv.state.host : tv.config.host;
+	}
+
+	/* startClient() load status and creates the entities */
+	startClient(tv) {
+		if (this.stopping) return;
+
+		var that = this;
+		var log = this.log;
+
+		tv.host = this.getHost(tv);
+
+		log.debug(5, "%1 [refreshStatus] - startClient: %2", that, tv.host);
+		this.mapTVDevice(tv, false);
+		that.online();
+
+		const e = tv.entity;
+
+		tv.lgtv = new LGTV({
+			url: (tv.config.secure ?? true) ? `wss://${tv.host}:3001` : `ws://${tv.host}:3000`,
+			timeout: tv.config.timeout || 15000,
+			reconnect: tv.config.error_interval || 5_000,
+			reconnectMax: tv.config.reconnect_max || 30_000,
+			pingInterval: tv.config.ping_interval ?? 30_000,
+			keyFile: this.getKeyFile(tv),
+			manifest: this.getManifest(tv),
+			pairingType: String(tv.config.pairing_type ?? "PROMPT").toUpperCase(),
+
+			wsconfig: {
+				keepalive: true,
+				keepaliveInterval: 10000,
+				dropConnectionOnKeepaliveTimeout: false,
+				keepaliveGracePeriod: 5000,
+				tlsOptions: {
+					rejectUnauthorized: false
+				}
+			}
+		});
+
+		tv.lgtv.on('error', function (err) {
+			that.updateEntityAttributes(e, { "_ns_.last_error": String(err?.message ?? err) });
+
+			if (err.code === 'EHOSTUNREACH' || err.code === 'ETIMEDOUT') {
+				log.notice("%1 Soft error: %2", that, err.code);
+			}
+			else
+				that.onError(tv, err);
+
+			// update connection status
+			tv.connected = false;
+			that.updateConnection(tv, tv.connected);
+		});
+
+		tv.lgtv.on('connecting', function () {
+			log.debug(5, "%1 Connecting to %2", that, tv.host);
+			// update connection status
+			tv.connected = false;
+			that.updateConnection(tv, tv.connected);
+		});
+
+		tv.lgtv.on('connect', function () {
+			that.online();
+
+			log.notice("%1 Connected: %2", that, tv.host);
+
+			// update connection status
+			tv.connected = true;
+			tv.failures = 0;
+			that.updateConnection(tv, tv.connected);
+			that.updateEntityAttributes(e, { "_ns_.paired": true, "_ns_.last_connected": Date.now() });
+
+			// model, firmware and services, and MAC address used by Wake-on-LAN. Actions issued while connecting
+			// are replayed once known, as optional capabilities depend on them
+			that.loadDeviceInfo(tv)
+				.catch(err => log.warn("%1 LG TV %2 - device info not loaded: %3", that, tv.host, err))
+				.then(() => {
+					if (tv.connected)
+						that.releaseCommands(tv);
+				});
+		});
+
+		tv.lgtv.on('reconnect', function (attempt, delay) {
+			log.debug(5, "%1 Reconnecting to %2 in %3ms (attempt %4)", that, tv.host, delay, attempt);
+			that.updateEntityAttributes(e, { "_ns_.reconnect_count": ++tv.reconnects });
+		});
+
+		tv.lgtv.on('latency', function (latency) {
+			that.updateEntityAttributes(e, { "_ns_.latency": latency });
+		});
+
+		tv.lgtv.on('prompt', function (pairingType) {
+			log.warn("%1 prompt: %2 (%3)", that, tv.host, pairingType);
+			that.updateEntityAttributes(e, { "_ns_.paired": false });
+
+			if (pairingType === 'PIN')
+				that.sendWarning("LG TV {0:q} needs your authorization to run: enter the PIN shown on your TV via x_lgtv.enter_pin action", tv.config.name ?? tv.host);
+			else
+				that.sendWarning("LG TV {0:q} needs your authorization to run: check your TV and approve the request", tv.config.name ?? tv.host);
+		});
+
+		tv.lgtv.on('close', function () {
+			log.debug(5, "%1 Connection closed: %2", that, tv.host);
+
+			// update connection status
+			tv.connected = false;
+			that.updateConnection(tv, tv.connected);
+
+			log.debug(5, "%1 Connection closed", that);
+		});
+
+		// subscriptions are sent once paired, and again by the client after each reconnection
+		this.subscribeTV(tv);
+
+		clearInterval(tv.screenTimeTimer);
+		tv.screenTimeTimer = setInterval(() => {
+			this.saveScreenTime(tv);
+			this.checkParentalRules(tv).catch(err => this.log.warn("%1 LG TV %2 - parental rules check failed: %3", this, tv.host, err));
+
+			// max_volume_schedule entries starting while the TV is loud
+			if (tv.connected)
+				this.enforceMaxVolume(tv);
+		}, 60_000);
+	}
+
+	/* subscribeTV() subscribes to TV state updates, once per client */
+	subscribeTV(tv) {
+		var that = this;
+		var log = this.log;
+		const e = tv.entity;
+
+		tv.lgtv.subscribe('ssap://com.webos.service.tvpower/power/getPowerState', function (err, res) {
+			log.debug(5, "%1 getPowerState: %2 - %3", that, tv.host, res);
+
+			if (err || res?.returnValue === false) {
+				// older firmwares have no power state: being connected means being on
+				log.debug(5, "%1 getPowerState not supported: %2", that, err ?? res?.errorText);
+				that.updatePowerState(tv, 'Active');
+				return;
+			}
+
+			that.updatePowerState(tv, res.state, res.processing);
+		});
+
+		// volume changes are notified step by step: update attributes once settled
+		var volumeAttributes = {};
+		var updateVolume = debounce(function () {
+			log.debug(5, "%1 debounce: %2", that, volumeAttributes);
+			that.updateEntityAttributes(e, volumeAttributes);
+			volumeAttributes = {};
+		}, 2000);
+
+		tv.lgtv.subscribe('ssap://audio/getVolume', function (err, res) {
+			log.debug(5, "%1 getVolume: %2 - %3", that, tv.host, res);
+			if (err || res?.returnValue === false) {
+				log.warn("%1 getVolume failed: %2", that, err ?? res?.errorText);
+				return;
+			}
+
+			var attributes = {};
+
+			if (res.volumeStatus?.volume !== undefined) attributes["volume.level"] = res.volumeStatus.volume / 100;
+			if (res.volumeStatus?.muteStatus !== undefined) attributes["muting.state"] = res.volumeStatus.muteStatus;
+			if (res.volumeStatus?.soundOutput !== undefined) attributes["_ns_.output"] = res.volumeStatus.soundOutput;
+			if (res.volumeStatus?.soundOutput !== undefined) attributes["_ns_.output_name"] = soundOutputs[res.volumeStatus.soundOutput] ?? res.volumeStatus.soundOutput;
+
+			if (res.changed !== undefined && res.changed.indexOf('volume') !== -1) attributes["volume.level"] = res.volume / 100;
+			if (res.changed !== undefined && res.changed.indexOf('muted') !== -1) attributes["muting.state"] = res.muted;
+
+			// the TV doesn't know the volume of soundbars it doesn't control (ie: via ARC or Bluetooth)
+			if (res.volumeStatus?.adjustVolume !== undefined) tv.adjustVolume = res.volumeStatus.adjustVolume;
+			if (tv.adjustVolume === false) attributes["volume.level"] = null;
+
+			if (attributes["muting.state"] !== undefined) tv.muted = attributes["muting.state"];
+			if (attributes["_ns_.output"] !== undefined) tv.soundOutput = attributes["_ns_.output"];
+			if (attributes["volume.level"] !== undefined) {
+				tv.volume = attributes["volume.level"] === null ? undefined : Math.round(attributes["volume.level"] * 100);
+				that.enforceMaxVolume(tv);
+			}
+
+			// update attributes with debounce
+			Object.assign(volumeAttributes, attributes);
+			updateVolume();
+		});
+
+		tv.lgtv.subscribe('ssap://com.webos.applicationManager/listLaunchPoints', function (err, res) {
+			log.debug(5, "%1 listLaunchPoints: %2 - %3", that, tv.host, res);
+			if (err || res?.returnValue === false) {
+				log.warn("%1 listLaunchPoints failed: %2", that, err ?? res?.errorText);
+				return;
+			}
+
+			that.updateApps(tv, res);
+		});
+
+		tv.lgtv.subscribe('ssap://tv/getExternalInputList', function (err, res) {
+			log.debug(5, "%1 getExternalInputList: %2 - %3", that, tv.host, res);
+			if (err || res?.returnValue === false) {
+				log.warn("%1 getExternalInputList failed: %2", that, err ?? res?.errorText);
+				return;
+			}
+
+			that.updateInputs(tv, res.devices);
+		});
+
+		tv.lgtv.subscribe('ssap://com.webos.media/getForegroundAppInfo', function (err, res) {
+			log.debug(5, "%1 media getForegroundAppInfo: %2 - %3", that, tv.host, res);
+			if (err || res?.returnValue === false) {
+				log.debug(5, "%1 media getForegroundAppInfo not supported: %2", that, err ?? res?.errorText);
+				return;
+			}
+
+			that.updatePlaybackState(tv, res.foregroundAppInfo);
+		});
+
+		tv.lgtv.subscribe('ssap://com.webos.applicationManager/getForegroundAppInfo', function (err, res) {
+			log.debug(5, "%1 getForegroundAppInfo: %2 - %3", that, tv.host, res);
+			if (err || res?.returnValue === false) {
+				log.warn("%1 getForegroundAppInfo failed: %2", that, err ?? res?.errorText);
+				return;
+			}
+
+			tv.foregroundApp = res?.appId;
+
+			// update attributes
+			that.updateEntityAttributes(e, { "_ns_.input": res.appId });
+			that.updateSource(tv);
+
+			// live TV support
+			that.updateLiveTV(tv, res.appId === 'com.webos.app.livetv');
+
+			that.updateScreenTime(tv);
+			that.checkParentalRules(tv).catch(err => log.warn("%1 LG TV %2 - parental rules check failed: %3", that, tv.host, err));
+		});
+
+		tv.lgtv.subscribe('ssap://com.webos.service.ime/registerRemoteKeyboard', function (err, res) {
+			log.debug(5, "%1 registerRemoteKeyboard: %2 - %3", that, tv.host, res);
+			if (err || res?.returnValue === false) {
+				log.debug(5, "%1 registerRemoteKeyboard not supported: %2", that, err ?? res?.errorText);
+				return;
+			}
+
+			// a text field has focus: the on-screen keyboard is shown
+			if (res.currentWidget !== undefined)
+				that.updateEntityAttributes(e, { "_ns_.keyboard_visible": res.currentWidget.focus === true });
+		});
+
+		this.subscribeSettings(tv);
+		if (tv.config.alert_responses)
+			this.subscribeAlerts(tv);
+		this.subscribeCustom(tv);
+	}
+
+	/* subscribeSettings() subscribes to picture and sound settings */
+	subscribeSettings(tv) {
+		Object.keys(systemSettings).forEach(category => {
+			var keys = Object.keys(systemSettings[category]);
+			tv.lgtv.subscribe('ssap://settings/getSystemSettings', { category: category, keys: keys }, (err, res) => {
+				this.log.debug(5, "%1 getSystemSettings %2: %3 - %4", this, category, tv.host, res);
+				if (err || res?.returnValue === false) {
+					this.log.debug(5, "%1 getSystemSettings %2 not supported: %3", this, category, err ?? res?.errorText);
+					return;
+				}
+
+				this.updateSettings(tv, category, res.settings ?? {});
+				if (tv.settingValues[category] === undefined)
+					this.loadSettingValues(tv, category, keys);
+			});
+		});
+	}
+
+	/* updateSettings() maps settings to attributes */
+	updateSettings(tv, category, settings) {
+		var attributes = {};
+		for (const [key, attribute] of Object.entries(systemSettings[category])) {
+			if (settings[key] === undefined) continue;
+
+			tv.settings[key] = settings[key];
+			attributes[`_ns_.${attribute}`] = numericSettings.includes(key) ? parseInt(settings[key], 10) : settings[key];
+		}
+
+		this.updateEntityAttributes(tv.entity, attributes);
+	}
+
+	/* loadSettingValues() loads the values supported by the TV for each setting: a list or a range */
+	loadSettingValues(tv, category, keys) {
+		tv.settingValues[category] = {};
+
+		tv.lgtv?.request('ssap://settings/getSystemSettingDesc', { category: category, keys: keys }, (err, res) => {
+			this.log.debug(5, "%1 getSystemSettingDesc %2: %3 - %4", this, category, tv.host, res);
+			if (err || res?.returnValue === false) {
+				this.log.warn("%1 LG TV %2 - %3 settings values can't be read, so they're not validated: %4", this, tv.host, category, err ?? res?.errorText);
+				return;
+			}
+
+			(res.results ?? []).forEach(desc => {
+				var values = desc.values?.arrayExt?.filter(item => item.visible !== false && item.active !== false).map(item => item.value) ?? desc.values?.array;
+				if (Array.isArray(values))
+					tv.settingValues[category][desc.key] = values;
+				else if (desc.values?.range)
+					tv.settingValues[category][desc.key] = desc.values.range;
+			});
+
+			this.updateEntityAttributes(tv.entity, {
+				"_ns_.picture_modes": tv.settingValues.picture?.pictureMode ?? null,
+				"_ns_.sound_modes": tv.settingValues.sound?.soundMode ?? null,
+			});
+		});
+	}
+
+	/* validateSetting() returns the value as supported by the TV (matched case-insensitively), throwing if unsupported */
+	validateSetting(tv, category, key, value) {
+		var supported = tv.settingValues[category]?.[key];
+
+		if (numericSettings.includes(key)) {
+			var level = parseInt(value, 10);
+			var min = supported?.min ?? 0;
+			var max = supported?.max ?? 100;
+			if (isNaN(level) || level < min || level > max)
+				throw new Error(`invalid ${key}: ${value} (supported: ${min}-${max})`);
+			return level;
+		}
+
+		value = String(value ?? '').trim();
+		if (value === '')
+			throw new Error(`${key} is mandatory and must be specified`);
+		if (!Array.isArray(supported))
+			return value;
+
+		var match = supported.find(item => String(item).toLowerCase() === value.toLowerCase());
+		if (match === undefined)
+			throw new Error(`unsupported ${key}: ${value} (supported: ${supported.join(', ')})`);
+		return match;
+	}
+
+	/* setSetting() changes a setting over ssap when the firmware allows it, or via the settings service */
+	async setSetting(tv, category, key, value) {
+		if (tv.settingValues[category]?.[key] === undefined)
+			this.log.notice("%1 LG TV %2 - %3 not validated: supported values unknown", this, tv.host, key);
+
+		var setting = this.validateSetting(tv, category, key, value);
+		var payload = { category: category, settings: { [key]: setting } };
+		if (tv.directSettings !== false) {
+			try {
+				await this.tvRequest(tv, "ssap://settings/setSystemSettings", payload);
+				tv.directSettings = true;
+				return;
+			}
+			catch (err) {
+				// other errors (ie: timeout, rejected value) are reported, and the next change tries again
+				if (tv.directSettings === true || !/no such service|permission|not permitted|denied/i.test(err?.message ?? err))
+					throw err;
+
+				this.log.debug(5, "%1 LG TV %2 - setSystemSettings not available over ssap: %3", this, tv.host, err?.message ?? err);
+				tv.directSettings = false;
+			}
+		}
+
+		// the alert resolves once closed, whether or not the setting was applied: wait for the settings subscription
+		await this.lunaRequest(tv, "luna://com.webos.settingsservice/setSystemSettings", payload);
+		if (!await this.waitForState(tv, () => String(tv.settings[key]).toLowerCase() === String(setting).toLowerCase(), 5000))
+			throw new Error(`${key} not confirmed by the TV within 5000ms`);
+	}
+
+	/* lunaRequest() calls a luna service, via the actions of an alert closed right away */
+	async lunaRequest(tv, uri, params) {
+		var action = { uri: uri, params: params };
+		var res = await this.tvRequest(tv, "ssap://system.notifications/createAlert", {
+			message: " ",
+			buttons: [{ label: "", onClick: uri, params: params }],
+			onclose: action,
+			onfail: action,
+		});
+
+		await this.tvRequest(tv, "ssap://system.notifications/closeAlert", { alertId: res.alertId });
+	}
+
+	/* subscribeAlerts() subscribes to the settings written by alert buttons and by closing alerts */
+	subscribeAlerts(tv) {
+		var payload = { category: alertResponse.category, keys: [alertResponse.button, alertResponse.closed] };
+		tv.lgtv.subscribe('ssap://settings/getSystemSettings', payload, (err, res) => {
+			this.log.debug(5, "%1 alert response: %2 - %3", this, tv.host, res);
+			if (err || res?.returnValue === false) {
+				this.log.warn("%1 LG TV %2 - alert responses not supported: %3", this, tv.host, err ?? res?.errorText);
+				return;
+			}
+
+			var [key, index] = String(res.settings?.[alertResponse.button] ?? '').split(':');
+			var alert = tv.alerts.get(key);
+			if (alert !== undefined) {
+				this.closeAlert(tv, alert, alert.buttons[parseInt(index, 10)] ?? null);
+				return;
+			}
+
+			// a pressed button closes the alert too: its write may be reported later
+			alert = tv.alerts.get(String(res.settings?.[alertResponse.closed] ?? ''));
+			if (alert !== undefined && alert.closing === undefined)
+				alert.closing = setTimeout(() => this.closeAlert(tv, alert, null), 1000);
+		});
+	}
+
+	/* sendAlert() shows an alert with buttons, reporting the choice in last_alert_response */
+	async sendAlert(tv, params) {
+		if (params?.message == undefined)
+			throw new Error("message param is mandatory and must be specified");
+
+		var buttons = params.buttons ?? "OK";
+		buttons = typeof buttons === 'string' && !buttons.trim().startsWith('[') ? buttons.split(',') : parseObject(buttons);
+		buttons = (Array.isArray(buttons) ? buttons : []).map(button => String(button).trim()).filter(button => button);
+		if (buttons.length === 0)
+			throw new Error("buttons param must list at least a button");
+
+		// with alert_responses, each button writes its index, with a key to match the alert
+		var key = `${Date.now().toString(36)}-${++tv.alertCount}`;
+		var write = (setting, value) => ({
+			uri: "luna://com.webos.settingsservice/setSystemSettings",
+			params: { category: alertResponse.category, settings: { [setting]: value } },
+		});
+
+		var payload = {
+			title: params.title,
+			message: params.message,
+			modal: false,
+			buttons: buttons.map((label, index) => ({ label: label, focus: index === 0 })),
+		};
+		if (tv.config.alert_responses) {
+			payload.buttons.forEach((button, index) => {
+				var action = write(alertResponse.button, `${key}:${index}`);
+				button.onClick = action.uri;
+				button.params = action.params;
+			});
+			payload.onclose = write(alertResponse.closed, key);
+		}
+
+		var res = await this.tvRequest(tv, "ssap://system.notifications/createAlert", payload);
+
+		var alert = { key: key, id: res.alertId, buttons: buttons, timer: undefined, closing: undefined };
+		if (params.timeout > 0)
+			alert.timer = setTimeout(() => this.closeAlert(tv, alert, null, true).catch(err => this.log.warn("%1 LG TV %2 - closeAlert failed: %3", this, tv.host, err)), params.timeout);
+
+		// alerts that can't be resolved anymore (no responses, nor timeout) are not tracked
+		if (tv.config.alert_responses || alert.timer !== undefined)
+			tv.alerts.set(key, alert);
+		this.updateEntityAttributes(tv.entity, { "_ns_.last_alert_id": alert.id });
+	}
+
+	/* closeAlert() records the response to an alert, closing it on the TV if needed */
+	async closeAlert(tv, alert, button, close) {
+		clearTimeout(alert.timer);
+		clearTimeout(alert.closing);
+		tv.alerts.delete(alert.key);
+
+		this.updateEntityAttributes(tv.entity, {
+			"_ns_.last_alert_response": { alert_id: alert.id, button: button, time: Date.now() }
+		});
+
+		if (close)
+			await this.tvRequest(tv, "ssap://system.notifications/closeAlert", { alertId: alert.id });
+	}
+
+	/* sendToast() shows a toast, with an optional icon and an app to launch when clicked */
+	async sendToast(tv, params) {
+		var text = params?.text ?? params?.message;
+		if (text == undefined)
+			throw new Error("text param is mandatory and must be specified");
+
+		var payload = { message: text };
+		if (params.icon) {
+			var icon = await this.loadIcon(params.icon);
+			payload.iconData = icon.data;
+			payload.iconExtension = icon.extension;
+		}
+
+		if (params.app) {
+			var appId = this.findApp(tv, params.app);
+			if (appId === undefined)
+				throw new Error(`unknown app: ${params.app}`);
+
+			payload.onClick = { appId: appId, params: parseObject(params.app_params) ?? {} };
+		}
+
+		await this.tvRequest(tv, "ssap://system.notifications/createToast", payload);
+	}
+
+	/* loadIcon() returns an icon (URL or file) as base64 data */
+	async loadIcon(icon) {
+		var extension = path.extname(new URL(icon, 'file:///').pathname).slice(1).toLowerCase() || 'png';
+		var data;
+
+		if (/^https?:\/\//i.test(icon))
+			data = await download(icon);
+		else
+			data = await fs.promises.readFile(icon);
+
+		return { data: data.toString('base64'), extension: extension };
+	}
+
+	/* captureScreen() captures the screen, and saves the image in Reactor's storage, unless blank (ie: protected content) */
+	async captureScreen(tv) {
+		var res = await this.tvRequest(tv, "ssap://tv/executeOneShot", { path: "/tmp/capture.jpg", method: "DISPLAY", format: "JPG" });
+		if (!res?.imageUri) throw new Error("no image returned by the TV");
+
+		// the TV certificate is self-signed
+		var data = await download(res.imageUri, { rejectUnauthorized: false });
+		if (data[0] !== 0xFF || data[1] !== 0xD8) throw new Error("capture is not a JPEG image");
+
+		// black frames compress to almost nothing
+		var now = new Date();
+		var capture = { file: null, time: now.getTime(), size: data.length, blank: data.length < (tv.config.capture_min_size ?? 15000) };
+		if (capture.blank) {
+			this.log.warn("%1 LG TV %2 - capture is blank (%3 bytes), probably protected content: not saved", this, tv.host, data.length);
+			this.updateEntityAttributes(tv.entity, { "_ns_.last_capture": capture });
+			return capture;
+		}
+
+		var dir = path.join(this.getStoragePath(), 'lgtv-captures', `${this.getID()}-${tv.id}`);
+		var time = [now.getHours(), now.getMinutes(), now.getSeconds()].map(v => String(v).padStart(2, '0')).join('');
+		capture.file = path.join(dir, `${dateKey(now)}-${time}-${String(now.getMilliseconds()).padStart(3, '0')}.jpg`);
+		mkdirp.sync(dir);
+
+		// timestamped names sort by time: keep the newest ones, making room for this one
+		var keep = Math.max(1, parseInt(tv.config.capture_retention ?? 50, 10) || 1);
+		var files = (await fs.promises.readdir(dir)).filter(name => name.endsWith('.jpg')).sort();
+		for (const name of files.slice(0, Math.max(0, files.length - keep + 1)))
+			await fs.promises.unlink(path.join(dir, name)).catch(err => this.log.warn("%1 LG TV %2 - can't remove capture %3: %4", this, tv.host, name, err));
+
+		await fs.promises.writeFile(capture.file, data);
+
+		this.log.debug(5, "%1 LG TV %2 - screen captured to %3", this, tv.host, capture.file);
+		this.updateEntityAttributes(tv.entity, { "_ns_.capture_file": capture.file, "_ns_.last_capture": capture });
+		return capture;
+	}
+
+	/* subscribeCustom() subscribes to the URIs listed in config, mapping each one to an attribute */
+	subscribeCustom(tv) {
+		var subscriptions = tv.config.subscriptions ?? [];
+		if (!Array.isArray(subscriptions)) {
+			this.log.warn("%1 LG TV %2 - subscriptions must be a list", this, tv.host);
+			return;
+		}
+
+		subscriptions.forEach(item => {
+			if (!item?.uri || !/^[a-z0-9_]+$/i.test(item.attribute ?? '')) {
+				this.log.warn("%1 LG TV %2 - invalid subscription %3: uri and attribute (letters, digits and _) are mandatory", this, tv.host, item);
+				return;
+			}
+
+			var payload;
+			try {
+				payload = parseObject(item.payload);
+			}
+			catch (err) {
+				this.log.warn("%1 LG TV %2 - invalid payload for %3: %4", this, tv.host, item.uri, err);
+				return;
+			}
+
+			tv.lgtv.subscribe(item.uri, payload ?? {}, (err, res) => {
+				this.log.debug(5, "%1 %2: %3 - %4", this, item.uri, tv.host, res);
+				if (err || res?.returnValue === false) {
+					this.log.warn("%1 LG TV %2 - subscription to %3 failed: %4", this, tv.host, item.uri, err ?? res?.errorText);
+					return;
+				}
+
+				var value = getPath(res, item.path);
+				this.updateEntityAttributes(tv.entity, { [`_ns_.${item.attribute}`]: value ?? null });
+			});
+		});
+	}
+
+	/* getKeyFile() returns the path of the client key, stored per TV */
+	getKeyFile(tv) {
+		var keyFile = path.join(this.getStoragePath(), `lgtv-${this.getID()}-${tv.id}.key`);
+
+		// migrate keys from previous versions, saved in the controller directory
+		var legacyKeyFile = path.join(__dirname, tv.id === "system" ? "client.key" : `client-${tv.id}.key`);
+		if (!fs.existsSync(keyFile) && fs.existsSync(legacyKeyFile)) {
+			try {
+				fs.copyFileSync(legacyKeyFile, keyFile);
+				fs.unlinkSync(legacyKeyFile);
+				this.log.notice("%1 Moved client key for %2 to %3", this, tv.id, keyFile);
+			}
+			catch (err) {
+				this.log.warn("%1 unable to move client key %2: %3", this, legacyKeyFile, err);
+			}
+		}
+
+		return keyFile;
+	}
+
+	/* getManifest() returns the pairing manifest, with the configured permission set */
+	getManifest(tv) {
+		var permissions = tv.config.permissions ?? "full";
+		if (permissions === "full") return pairing;
+
+		var list = Array.isArray(permissions) ?
+			permissions.map(permission => String(permission).toUpperCase()) :
+			pairing.manifest.permissions.filter(permission => permissionSets[permissions]?.test(permission));
+
+		if (list.length === 0) {
+			this.log.warn("%1 LG TV %2 - invalid permissions %3, using full permissions", this, tv.host, permissions);
+			return pairing;
+		}
+
+		return { ...pairing, manifest: { ...pairing.manifest, permissions: list } };
+	}
+
+	/* unpair() forgets the client key: the TV will ask for authorization on the next connection */
+	unpair(tv) {
+		return new Promise((resolve, reject) => {
+			const done = (err) => {
+				if (err && err.code !== 'ENOENT') return reject(err);
+
+				this.log.notice("%1 LG TV %2 unpaired", this, tv.host);
+				this.updateEntityAttributes(tv.entity, { "_ns_.paired": false });
+				resolve();
+			};
+
+			if (tv.lgtv)
+				tv.lgtv.forgetKey(done);
+			else
+				fs.unlink(this.getKeyFile(tv), done);
+		});
+	}
+
+	/* stopClient() disconnects the TV client, releasing its listeners, subscriptions and timers */
+	stopClient(tv) {
+		clearTimeout(tv.channelTimer);
+		clearTimeout(tv.programTimer);
+		tv.channelSubscription = undefined;
+		tv.foregroundApp = undefined;
+		tv.settingValues = {};
+		tv.ramp = undefined;
+		tv.alerts.forEach(alert => clearTimeout(alert.timer));
+		tv.alerts.clear();
+
+		if (!tv.lgtv) return;
+
+		this.releaseCommands(tv, new Error("TV client stopped"));
+		tv.lgtv.removeAllListeners();
+		tv.lgtv.on('error', () => { /* ignore errors while closing */ });
+		tv.lgtv.disconnect();
+		tv.lgtv = undefined;
+		tv.connected = false;
+
+		clearInterval(tv.screenTimeTimer);
+		this.saveScreenTime(tv, true);
+	}
+
+	/* mapTVDevice() is used to create the TV device: the system entity for a single TV. Without state, only capabilities and device info are refreshed */
+	mapTVDevice(tv, state) {
+		var info = tv.state.deviceInfo ?? {};
+		var attributes = {
+			"_ns_.mac": this.getMac(tv) ?? null,
+			"_ns_.presets": Object.keys(this.getPresets(tv)),
+			"_ns_.parental_override_until": tv.state.parentalOverride > Date.now() ? tv.state.parentalOverride : null,
+			"_ns_.model_name": info.model_name ?? null,
+			"_ns_.serial_number": info.serial_number ?? null,
+			"_ns_.webos_version": info.webos_version ?? null,
+			"_ns_.firmware_version": info.firmware_version ?? null,
+			"_ns_.services": info.services ?? [],
+		};
+
+		if (state !== undefined) {
+			Object.assign(attributes, {
+				"power_switch.state": state,
+				"toggle.state": state,
+				"_ns_.online": state,
+				"_ns_.power_state": state ? 'active' : 'power_off',
+				"_ns_.screen_state": state ? 'on' : 'off',
+			});
+		}
+
+		// capabilities are refreshed when the firmware changes
+		tv.entity = this.mapDevice(tv.id, tv.config.name ?? "LG TV",
+			this.getCapabilities(tv), "power_switch.state", attributes, info.firmware_version);
+
+		// features no longer supported by the TV, ie: after a firmware change
+		Object.keys(features).filter(capability => !this.supportsFeature(tv, capability)).forEach(capability => {
+			if (typeof tv.entity.removeCapability === "function" && tv.entity.hasCapability(capability))
+				tv.entity.removeCapability(capability);
+		});
+	}
+
+	/* getCapabilities() returns the TV capabilities, including the optional ones it supports */
+	getCapabilities(tv) {
+		var capabilities = ["volume", "muting", "power_switch", "toggle", "av_source", "media_transport", ns];
+		if (tv.id === "system")
+			capabilities.push("sys_system");
+
+		return capabilities.concat(Object.keys(features).filter(capability => this.supportsFeature(tv, capability)));
+	}
+
+	/* supportsFeature() checks an optional capability against the TV webOS version and services: none is supported until known */
+	supportsFeature(tv, capability) {
+		var feature = features[capability];
+		var info = tv.state.deviceInfo;
+		if (!feature) return true;
+		if (!info) return false;
+
+		if (feature.webos && parseFloat(info.webos_version) < feature.webos) return false;
+		if (feature.service && Array.isArray(info.services) && !info.services.includes(feature.service)) return false;
+		return true;
+	}
+
+	/* loadDeviceInfo() reads model, firmware and services from the TV, and updates the entity when changed */
+	async loadDeviceInfo(tv) {
+		var [system, software, services] = await Promise.all([
+			"ssap://system/getSystemInfo",
+			"ssap://com.webos.service.update/getCurrentSWInformation",
+			"ssap://api/getServiceList",
+		].map(uri => this.tvRequest(tv, uri).catch(err => {
+			this.log.debug(5, "%1 LG TV %2 - %3 failed: %4", this, tv.host, uri, err);
+			return undefined;
+		})));
+
+		this.detectMac(tv, software?.device_id);
+
+		// missing info is kept from last time
+		var info = { ...tv.state.deviceInfo };
+		if (system) {
+			info.model_name = system.modelName;
+			info.serial_number = system.serialNumber;
+		}
+		if (software) {
+			// "webOSTV 5.0": major_ver/minor_ver are the firmware version. Unknown versions don't gate features
+			info.webos_version = String(software.product_name ?? '').match(/\d+(\.\d+)?/)?.[0];
+			info.firmware_version = software.major_ver !== undefined ? `${software.major_ver}.${software.minor_ver}` : undefined;
+		}
+		if (Array.isArray(services?.services))
+			info.services = services.services.map(service => service.name);
+
+		// stored even when nothing came back, as the TV was queried: unknown info doesn't gate features
+		if (tv.state.deviceInfo !== undefined && JSON.stringify(info) === JSON.stringify(tv.state.deviceInfo)) return;
+
+		this.log.notice("%1 LG TV %2 - model %3, webOS %4, firmware %5", this, tv.host, info.model_name, info.webos_version, info.firmware_version);
+		tv.state.deviceInfo = info;
+		this.saveState();
+		this.mapTVDevice(tv);
+	}
+
+	/* updateConnection() is used to update the connection status */
+	updateConnection(tv, state) {
+		var attributes = {
+			"_ns_.online": state,
+		};
+
+		// power state is reported by the TV once connected, while no connection means off
+		if (!state) {
+			tv.powerState = 'power_off';
+			attributes["_ns_.power_state"] = tv.powerState;
+			attributes["_ns_.screen_state"] = 'off';
+			attributes["power_switch.state"] = false;
+			attributes["toggle.state"] = false;
+		}
+
+		// update attributes
+		this.updateEntityAttributes(tv.entity, attributes);
+		this.updateScreenTime(tv);
+	}
+
+	/* updatePowerState() maps TV power state (and pending transitions) to attributes */
+	updatePowerState(tv, state, processing) {
+		tv.powerState = powerStates[state] ?? 'unknown';
+
+		// "Request Power Off", "Request Suspend", etc. are sent while the TV is going off. Screen off counts as off
+		var on = tv.powerState === 'active' && !/power off|suspend|standby/i.test(processing ?? '');
+
+		this.updateEntityAttributes(tv.entity, {
+			"_ns_.power_state": tv.powerState,
+			"_ns_.screen_state": on ? 'on' : 'off',
+			"power_switch.state": on,
+			"toggle.state": on,
+		});
+		this.updateScreenTime(tv);
+	}
+
+	/* detectMac() learns the MAC address from the TV device id, or its network info, and persists it */
+	detectMac(tv, deviceId) {
+		if (tv.config.mac) return;
+
+		var mac = normalizeMac(deviceId);
+		if (mac) {
+			this.learnMac(tv, mac);
+			return;
+		}
+
+		// fallback on network info
+		tv.lgtv?.request('ssap://com.webos.service.connectionmanager/getinfo', (err, res) => {
+			var mac = normalizeMac(res?.wiredInfo?.macAddress) ?? normalizeMac(res?.wifiInfo?.macAddress);
+			if (err || !mac) {
+				this.log.debug(5, "%1 unable to detect MAC address: %2", this, err ?? res);
+				return;
+			}
+
+			this.learnMac(tv, mac);
+		});
+	}
+
+	/* learnMac() stores the detected MAC address */
+	learnMac(tv, mac) {
+		if (tv.state.mac !== mac) {
+			this.log.notice("%1 Detected MAC address for %2: %3", this, tv.host, mac);
+			tv.state.mac = mac;
+			this.saveState();
+		}
+
+		this.updateEntityAttributes(tv.entity, { "_ns_.mac": mac });
+	}
+
+	/* getMac() returns the configured or the detected MAC address */
+	getMac(tv) {
+		return normalizeMac(tv.config.mac) ?? tv.state.mac;
+	}
+
+	/* wakeUp() sends Wake-on-LAN packets and waits for the TV to connect and be active, throwing if it does not */
+	async wakeUp(tv) {
+		var mac = this.getMac(tv);
+		if (!mac)
+			throw new Error("no MAC address known, can't send Wake-on-LAN");
+
+		var timeout = tv.config.wol_timeout || 30_000;
+		var started = Date.now();
+		this.log.notice("%1 Sending Wake-on-LAN to %2 (%3)", this, tv.host, mac);
+		tv.lgtv?.reconnectNow();
+		await this.sendWakeOnLan(tv, mac);
+
+		// a TV in standby (ie: Quick Start+) stays connected, and reports the active state once up
+		if (!await this.waitForConnection(tv, timeout) ||
+			!await this.waitForState(tv, () => tv.powerState === 'active', timeout - (Date.now() - started)))
+			throw new Error(`TV did not come up within ${timeout}ms`);
+
+		this.log.notice("%1 LG TV %2 is up", this, tv.host);
+	}
+
+	/* sendWakeOnLan() sends the magic packets, repeated wol_retries times */
+	sendWakeOnLan(tv, mac) {
+		var address = tv.config.wol_broadcast || "255.255.255.255";
+		var port = tv.config.wol_port || 9;
+		var retries = Math.max(1, tv.config.wol_retries ?? 3);
+		var interval = tv.config.wol_interval || 500;
+
+		// 6 x 0xFF followed by 16 repetitions of the MAC address
+		var target = Buffer.from(mac.replace(/:/g, ''), 'hex');
+		var packet = Buffer.alloc(6 + 16 * target.length, 0xff);
+		for (var i = 0; i < 16; i++)
+			target.copy(packet, 6 + i * target.length);
+
+		return new Promise((resolve, reject) => {
+			var socket = dgram.createSocket("udp4");
+			var sent = 0;
+			var timer = null;
+			var finished = false;
+
+			const done = (err) => {
+				if (finished) return;
+				finished = true;
+				clearTimeout(timer);
+				socket.close();
+				err ? reject(err) : resolve(sent);
+			};
+
+			// the TV is reachable shortly after each packet: retry the connection without waiting for the backoff
+			const send = () => {
+				socket.send(packet, 0, packet.length, port, address, (err) => {
+					if (err) return done(err);
+					tv.lgtv?.reconnectNow();
+					if (++sent >= retries) return done();
+					timer = setTimeout(send, interval);
+				});
+			};
+
+			socket.on('error', done);
+			socket.bind(() => {
+				socket.setBroadcast(true);
+				send();
+			});
+		});
+	}
+
+	/* waitForConnection() resolves to true when the TV connects within timeout */
+	waitForConnection(tv, timeout) {
+		if (tv.connected) return Promise.resolve(true);
+
+		return new Promise((resolve) => {
+			var lgtv = tv.lgtv;
+			const onConnect = () => {
+				clearTimeout(timer);
+				resolve(true);
+			};
+			var timer = setTimeout(() => {
+				lgtv?.removeListener('connect', onConnect);
+				resolve(false);
+			}, timeout);
+
+			lgtv?.once('connect', onConnect);
+		});
+	}
+
+	/* startDiscovery() searches for webOS TVs via SSDP, periodically */
+	startDiscovery() {
+		if (this.config.discovery === false) return this.stopDiscovery();
+		if (this.ssdp) return;
+
+		this.ssdp = dgram.createSocket({ type: "udp4", reuseAddr: true });
+		this.ssdp.on('message', (message, rinfo) => this.onDiscovery(message.toString(), rinfo.address));
+		this.ssdp.on('error', (err) => {
+			this.log.warn("%1 SSDP discovery error: %2", this, err);
+		});
+		this.ssdp.bind(() => this.searchTVs());
+
+		this.discoveryTimer = setInterval(() => this.searchTVs(), this.config.discovery_interval || 300_000);
+	}
+
+	/* stopDiscovery() closes the SSDP socket */
+	stopDiscovery() {
+		clearInterval(this.discoveryTimer);
+		this.discoveryTimer = undefined;
+
+		this.ssdp?.close();
+		this.ssdp = undefined;
+	}
+
+	/* searchTVs() sends the SSDP M-SEARCH request */
+	searchTVs() {
+		if (this.stopping || !this.ssdp) return;
+
+		var message = Buffer.from([
+			'M-SEARCH * HTTP/1.1',
+			'HOST: 239.255.255.250:1900',
+			'MAN: "ssdp:discover"',
+			'MX: 3',
+			`ST: ${ssdpTarget}`,
+			'', ''
+		].join('\r\n'));
+
+		this.log.debug(5, "%1 SSDP M-SEARCH", this);
+		this.ssdp.send(message, 0, message.length, 1900, '239.255.255.250');
+	}
+
+	/* onDiscovery() matches SSDP responses with known TVs (following address changes) or announces new ones */
+	onDiscovery(message, address) {
+		var headers = {};
+		message.split(/\r?\n/).slice(1).forEach(line => {
+			var index = line.indexOf(':');
+			if (index > 0)
+				headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+		});
+
+		if ((headers.st ?? headers.nt) !== ssdpTarget) return;
+
+		var uuid = /uuid:([^:]+)/i.exec(headers.usn ?? '')?.[1];
+		if (!uuid) return;
+
+		var name = headers['dlnadevicename.lge.com'] ? decodeURIComponent(headers['dlnadevicename.lge.com']) : "LG TV";
+		var mac = arpLookup(address);
+		this.log.debug(5, "%1 SSDP response from %2: %3 (%4, %5)", this, address, name, uuid, mac);
+
+		var tvs = [...this.tvs.values()];
+		var tv = tvs.find(tv => tv.state.uuid === uuid) ??
+			tvs.find(tv => mac && this.getMac(tv) === mac) ??
+			tvs.find(tv => !tv.state.uuid && tv.host === address);
+
+		if (!tv) {
+			if (!this.announced.has(uuid)) {
+				this.announced.add(uuid);
+				this.log.notice("%1 Discovered LG TV %2 at %3 (uuid %4, MAC %5)", this, name, address, uuid, mac);
+				this.sendNotice('Discovered LG TV {0:q} at {1}: add it to controller {2:q} configuration', name, address, this);
+			}
+			return;
+		}
+
+		var changed = false;
+		if (tv.state.uuid !== uuid) {
+			tv.state.uuid = uuid;
+			changed = true;
+		}
+
+		// DHCP address changed: follow the TV
+		if (tv.host !== address) {
+			this.log.notice("%1 LG TV %2 moved from %3 to %4", this, tv.id, tv.host, address);
+			tv.state.host = address;
+			tv.state.configuredHost = tv.config.host;
+			changed = true;
+
+			this.stopClient(tv);
+			this.startClient(tv);
+		}
+
+		if (changed)
+			this.saveState();
+	}
+
+	/* getStoragePath() returns the directory used to persist controller data */
+	getStoragePath() {
+		// never the add-on directory: keys would be lost on upgrades
+		if (typeof this.getDataDirectory !== "function")
+			throw new Error("Reactor storage directory not available (getDataDirectory): please upgrade Reactor");
+
+		var dir = this.getDataDirectory();
+		mkdirp.sync(dir);
+		return dir;
+	}
+
+	/* loadState() loads persisted data (ie: detected MAC address) */
+	loadState() {
+		// no storage is a fatal error, failing start()
+		var file = path.join(this.getStoragePath(), `lgtv-${this.getID()}.json`);
+
+		try {
+			this.state = JSON.parse(fs.readFileSync(file, 'utf8'));
+		}
+		catch (err) {
+			if (err.code !== 'ENOENT')
+				this.log.warn("%1 unable to load state: %2", this, err);
+			this.state = {};
+		}
+
+		// migrate data from single TV versions
+		if (this.state.mac !== undefined) {
+			this.state.tvs = { system: { mac: this.state.mac }, ...this.state.tvs };
+			delete this.state.mac;
+		}
+	}
+
+	/* saveState() persists data */
+	saveState() {
+		try {
+			fs.writeFileSync(path.join(this.getStoragePath(), `lgtv-${this.getID()}.json`), JSON.stringify(this.state, null, 2));
+		}
+		catch (err) {
+			this.log.err("%1 unable to save state: %2", this, err);
+		}
+	}
+
+	/* updateApps() updates the app catalog from listLaunchPoints (full list or change notification) */
+	updateApps(tv, res) {
+		if (Array.isArray(res.launchPoints)) {
+			tv.apps = new Map(res.launchPoints.map(app => [app.id, app.title]));
+		}
+		else if (res.change) {
+			var app = res.launchPoint ?? res;
+			if (res.change === 'removed')
+				tv.apps.delete(app.id);
+			else if (app.id)
+				tv.apps.set(app.id, app.title ?? tv.apps.get(app.id) ?? app.id);
+		}
+		else
+			return;
+
+		var apps = [...tv.apps].map(([id, title]) => ({ id, title }))
+			.sort((a, b) => String(a.title).localeCompare(String(b.title)));
+		this.updateEntityAttributes(tv.entity, { "_ns_.apps": apps });
+		this.updateSource(tv);
+	}
+
+	/* updateInputs() updates external inputs (HDMI, AV, etc.) from getExternalInputList */
+	updateInputs(tv, devices) {
+		if (!Array.isArray(devices)) return;
+
+		tv.inputs = devices.map(device => {
+			// "HDMI_2" => "HDMI 2", plus user assigned label: "HDMI 2 (PlayStation)"
+			var name = String(device.id).replace(/_/g, ' ');
+			if (device.label && device.label.toLowerCase() !== name.toLowerCase())
+				name = `${name} (${device.label})`;
+
+			return { id: device.id, appId: device.appId, label: device.label, name: name };
+		});
+
+		this.updateEntityAttributes(tv.entity, { "av_source.sources": tv.inputs.map(input => input.name) });
+		this.updateSource(tv);
+	}
+
+	/* updateSource() maps the foreground app to the current source: input name or app title */
+	updateSource(tv) {
+		if (!tv.foregroundApp) return;
+
+		this.updateEntityAttributes(tv.entity, { "av_source.source": this.getSourceName(tv, tv.foregroundApp) });
+	}
+
+	/* getSourceName() returns the input name or app title for an app id */
+	getSourceName(tv, appId) {
+		var input = tv.inputs.find(input => input.appId === appId);
+		return input?.name ?? tv.apps.get(appId) ?? appId;
+	}
+
+	/* updateScreenTime() accounts the time spent watching since last update, by source (app or input) */
+	updateScreenTime(tv) {
+		var now = Date.now();
+		var watching = tv.connected && tv.powerState === 'active' && tv.foregroundApp !== undefined;
+
+		// time while off or disconnected is not counted
+		if (tv.session) {
+			this.addScreenTime(tv, tv.session.source, tv.session.last, now);
+			tv.session.last = now;
+		}
 
-const TimerBroker = require("server/lib/TimerBroker");
+		if (!watching)
+			tv.session = undefined;
+		else if (tv.session)
+			tv.session.source = this.getSourceName(tv, tv.foregroundApp);
+		else
+			tv.session = { source: this.getSourceName(tv, tv.foregroundApp), start: now, last: now };
+
+		var today = tv.state.screenTime?.[dateKey(now)];
+		var sources = {};
+		for (const [source, time] of Object.entries(today?.sources ?? {}))
+			sources[source] = Math.round(time / 60_000);
+
+		this.updateEntityAttributes(tv.entity, {
+			"_ns_.screen_time_today": Math.round((today?.total ?? 0) / 60_000),
+			"_ns_.screen_time_sources": sources,
+			"_ns_.session_duration": tv.session ? Math.round((now - tv.session.start) / 60_000) : 0,
+		});
+	}
 
-const debounce = (callback, wait) => {
-	let timeoutId = null;
-	return (...args) => {
-		clearTimeout(timeoutId);
-		timeoutId = setTimeout(() => {
-			callback.apply(null, args);
-		}, wait);
-	};
-}
+	/* addScreenTime() adds time to the daily buckets, split at midnight */
+	addScreenTime(tv, source, from, to) {
+		var buckets = tv.state.screenTime = tv.state.screenTime ?? {};
+		while (from < to) {
+			var end = Math.min(to, new Date(from).setHours(24, 0, 0, 0));
+			var day = buckets[dateKey(from)] = buckets[dateKey(from)] ?? { total: 0, sources: {} };
+			day.total += end - from;
+			day.sources[source] = (day.sources[source] ?? 0) + end - from;
+			tv.screenTimeChanged = true;
+			from = end;
+		}
+	}
 
-var impl = false;  /* Implementation data, one copy for all instances, will be loaded by start() later */
+	/* saveScreenTime() persists changed daily buckets every 10 minutes, on day change or when forced, removing the ones older than screen_time_days */
+	saveScreenTime(tv, force = false) {
+		this.updateScreenTime(tv);
 
-module.exports = class LGTVController extends Controller {
-	constructor(struct, id, config) {
-		super(struct, id, config);  /* required *this.*/
+		var now = Date.now();
+		var oldest = dateKey(now - (tv.config.screen_time_days ?? 90) * 86_400_000);
+		Object.keys(tv.state.screenTime ?? {}).filter(day => day < oldest).forEach(day => {
+			delete tv.state.screenTime[day];
+			tv.screenTimeChanged = true;
+		});
 
-		this.failures = 0;
+		if (!tv.screenTimeChanged)
+			return;
+		if (!force && now - tv.screenTimeSaved < 600_000 && dateKey(now) === dateKey(tv.screenTimeSaved))
+			return;
 
-		this.lgtv = undefined;
+		tv.screenTimeChanged = false;
+		tv.screenTimeSaved = now;
+		this.saveState();
+	}
 
-		this.stopping = false;      /* Flag indicates we're stopping */
-		this.connected = false;
+	/* getParentalBlock() returns why the app is blocked by parental rules, or undefined */
+	getParentalBlock(tv, appId) {
+		var rules = Array.isArray(tv.config.parental_rules) ? tv.config.parental_rules : [];
+		var source = this.getSourceName(tv, appId);
+		var today = tv.state.screenTime?.[dateKey(Date.now())]?.sources ?? {};
+		var now = new Date();
+
+		for (const rule of rules) {
+			var sources = (Array.isArray(rule?.sources) ? rule.sources : [rule?.sources])
+				.map(name => {
+					var id = this.findApp(tv, name) ?? this.findInput(tv, name)?.appId;
+
+					// warned once apps and inputs are loaded
+					if (id === undefined && tv.apps.size > 0 && tv.inputs.length > 0 && !tv.unknownSources.has(String(name))) {
+						tv.unknownSources.add(String(name));
+						this.log.warn("%1 LG TV %2 - unknown parental rule source: %3", this, tv.host, name);
+					}
+					return id;
+				})
+				.filter(id => id !== undefined);
+			if (!sources.includes(appId)) continue;
+
+			if (rule.from && rule.to && inTimeRange(now, rule.from, rule.to))
+				return `${source} is not allowed from ${rule.from} to ${rule.to}`;
+
+			// the budget is shared by the sources of the rule
+			var used = sources.reduce((total, id) => total + (today[this.getSourceName(tv, id)] ?? 0), 0);
+			if (rule.budget !== undefined && used >= rule.budget * 60_000)
+				return `${source} daily time of ${rule.budget} minutes is over`;
+		}
 
-		// we do not need the group, since it's a one man band show here
-		this.removeControllerGroup();
+		return undefined;
 	}
 
-	/** Start the controller. */
-	async start() {
-		if (!this.config.host) {
-			this.log.err("%1 No host configured", this);
-			return Promise.reject("No host configured");
+	/* checkParentalRules() closes the foreground app when blocked, or switches to the fallback */
+	async checkParentalRules(tv) {
+		// an expired override is cleared, restoring the rules
+		if (tv.state.parentalOverride !== undefined && tv.state.parentalOverride <= Date.now()) {
+			tv.state.parentalOverride = undefined;
+			this.saveState();
+
+			this.log.notice("%1 LG TV %2 - parental rules restored", this, tv.host);
+			this.updateEntityAttributes(tv.entity, { "_ns_.parental_override_until": null });
 		}
 
-		/** Load implementation data if not yet loaded. Remove this if you don't
-		 *  use implementation data files.
-		 */
-		if (false === impl) {
-			impl = await this.loadBaseImplementationData(className, __dirname);
+		var appId = tv.foregroundApp;
+		var blocked = tv.parentalBlock;
+		tv.parentalBlock = undefined;
+		if (!tv.connected || tv.powerState !== 'active' || appId === undefined) return;
+		if (tv.state.parentalOverride !== undefined) return;
+
+		var fallback = tv.config.parental_fallback;
+		var fallbackInput = fallback ? this.findInput(tv, fallback) : undefined;
+		var fallbackApp = fallbackInput?.appId ?? (fallback ? this.findApp(tv, fallback) : undefined);
+		if (appId === fallbackApp) return;
+
+		var reason = this.getParentalBlock(tv, appId);
+		if (reason === undefined) return;
+
+		// notified when the app gets blocked, not on each check while it stays blocked
+		tv.parentalBlock = `${appId}: ${reason}`;
+		var notify = tv.parentalBlock !== blocked;
+		if (notify) {
+			this.log.notice("%1 LG TV %2 - blocked: %3", this, tv.host, reason);
+			this.updateEntityAttributes(tv.entity, {
+				"_ns_.blocked_attempt": { source: this.getSourceName(tv, appId), reason: reason, time: Date.now() }
+			});
 		}
 
-		this.log.debug(5, "%1 starting", this);
+		try {
+			if (fallbackInput)
+				await this.tvRequest(tv, "ssap://tv/switchInput", { inputId: fallbackInput.id });
+			else if (fallbackApp)
+				await this.tvRequest(tv, "ssap://system.launcher/launch", { id: fallbackApp });
+			else
+				await this.tvRequest(tv, "ssap://system.launcher/close", { id: appId });
 
-		this.stopping = false;
-		this.run();
+			if (notify)
+				await this.tvRequest(tv, "ssap://system.notifications/createToast", { message: reason });
+		}
+		catch (err) {
+			this.log.warn("%1 LG TV %2 - can't block %3: %4", this, tv.host, appId, err);
+		}
+	}
 
-		return this;
+	/* overrideParentalRules() lifts parental rules for duration minutes, 0 to restore them */
+	overrideParentalRules(tv, duration) {
+		duration = parseInt(duration ?? 60, 10);
+		if (isNaN(duration) || duration < 0)
+			throw new Error(`invalid duration: ${duration}`);
+
+		tv.state.parentalOverride = duration > 0 ? Date.now() + duration * 60_000 : undefined;
+		this.saveState();
+
+		this.log.notice("%1 LG TV %2 - parental rules lifted for %3 minutes", this, tv.host, duration);
+		this.updateEntityAttributes(tv.entity, { "_ns_.parental_override_until": tv.state.parentalOverride ?? null });
+		this.checkParentalRules(tv).catch(err => this.log.warn("%1 LG TV %2 - parental rules check failed: %3", this, tv.host, err));
 	}
 
-	/* Stop the controller. */
-	async stop() {
-		this.log.debug(5, "%1 stopping", this);
-		this.stopping = true;
+	/* getDateRange() returns the from/to dates params (YYYY-MM-DD), today by default */
+	getDateRange(params) {
+		var from = params?.from || dateKey(Date.now());
+		var to = params?.to || from;
+		if (![from, to].every(date => /^\d{4}-\d{2}-\d{2}$/.test(date)))
+			throw new Error(`invalid date range: ${from} - ${to} (YYYY-MM-DD)`);
 
-		/* Required ending */
-		return await super.stop();
+		return [from, to];
 	}
 
-	/* run() is called when Controller's single-simple timer expires. */
-	run() {
-		this.log.debug(5, "%1 running", this);
+	/* reportScreenTime() reports the screen time in the date range, in minutes, in screen_time_report */
+	reportScreenTime(tv, params) {
+		var [from, to] = this.getDateRange(params);
+		this.updateScreenTime(tv);
+
+		var report = { from: from, to: to, total: 0, sources: {} };
+		for (const [day, bucket] of Object.entries(tv.state.screenTime ?? {})) {
+			if (day < from || day > to) continue;
+
+			report.total += bucket.total;
+			for (const [source, time] of Object.entries(bucket.sources))
+				report.sources[source] = (report.sources[source] ?? 0) + time;
+		}
+
+		report.total = Math.round(report.total / 60_000);
+		for (const source in report.sources)
+			report.sources[source] = Math.round(report.sources[source] / 60_000);
 
-		this.startClient();
+		this.updateEntityAttributes(tv.entity, { "_ns_.screen_time_report": report });
 	}
 
-	/* startClient() load status and creates the entities */
-	startClient() {
-		if (this.stopping) return;
+	/* resetScreenTime() removes the screen time in the date range */
+	resetScreenTime(tv, params) {
+		var [from, to] = this.getDateRange(params);
+		this.updateScreenTime(tv);
 
-		const e = this.system;
-		var that = this;
-		var log = this.log;
+		Object.keys(tv.state.screenTime ?? {}).filter(day => day >= from && day <= to).forEach(day => delete tv.state.screenTime[day]);
+		this.log.notice("%1 LG TV %2 - screen time reset from %3 to %4", this, tv.host, from, to);
 
-		log.debug(5, "%1 [refreshStatus] - startClient: %2", that, that.config.host);
-		this.mapSystemDevice(that, false);
-		that.online();
+		tv.screenTimeChanged = true;
+		this.saveScreenTime(tv, true);
+	}
 
-		this.lgtv = new LGTV({
-			url: (that.config.secure ?? true) ? `wss://${that.config.host}:3001` : `ws://${that.config.host}:3000`,
-			timeout: that.config.timeout || 15000,
-			keyFile: `${__dirname}/client.key`, // TODO: path from config/code
+	/* findInput() returns the input by name (with or without label), id, label or app id (case-insensitive) */
+	findInput(tv, name) {
+		if (!name) return undefined;
 
-			wsconfig: {
-				keepalive: true,
-				keepaliveInterval: 10000,
-				dropConnectionOnKeepaliveTimeout: false,
-				keepaliveGracePeriod: 5000,
-				tlsOptions: {
-					rejectUnauthorized: false
-				}
-			}
-		});
+		// labelled inputs are found by their plain name too: "HDMI 2" for "HDMI 2 (PlayStation)"
+		var value = name.toString().toLowerCase();
+		return tv.inputs.find(input =>
+			[input.name, String(input.id).replace(/_/g, ' '), input.id, input.label, input.appId].some(v => v && String(v).toLowerCase() === value));
+	}
 
-		this.lgtv.on('error', function (err) {
-			if (err.code === 'EHOSTUNREACH' || err.code === 'ETIMEDOUT') {
-				log.notice("%1 Soft error: %2", that, err.code);
-			}
-			else
-				that.onError(that, err);
+	/* findApp() returns the app id, by id or case-insensitive title */
+	findApp(tv, name) {
+		if (!name) return undefined;
 
-			// update connection status
-			that.connected = false;
-			that.updateConnection(e, that.connected);
-		});
+		name = String(name);
+		if (tv.apps.has(name)) return name;
 
-		this.lgtv.on('connecting', function () {
-			log.debug(5, "%1 Connecting to %2", that, that.config.host);
-			// update connection status
-			that.connected = false;
-			that.updateConnection(e, that.connected);
+		var title = name.toLowerCase();
+		for (const [id, appTitle] of tv.apps) {
+			if (String(appTitle).toLowerCase() === title || id.toLowerCase() === title)
+				return id;
+		}
+
+		// app catalog not loaded yet: trust ids
+		return tv.apps.size === 0 && name.includes('.') ? name : undefined;
+	}
+
+	/* getMaxVolume() returns the maximum volume (0-100) at the given time, from max_volume and max_volume_schedule */
+	getMaxVolume(tv, date) {
+		date = date ?? new Date();
+		var entry = (Array.isArray(tv.config.max_volume_schedule) ? tv.config.max_volume_schedule : [])
+			.find(item => inTimeRange(date, item?.from, item?.to));
+
+		var max = parseInt(entry?.max ?? tv.config.max_volume ?? 100, 10);
+		return isNaN(max) ? 100 : Math.min(100, Math.max(0, max));
+	}
+
+	/* enforceMaxVolume() brings the volume back to the maximum, even when changed from the remote */
+	enforceMaxVolume(tv) {
+		var max = this.getMaxVolume(tv);
+		if (tv.volume === undefined || tv.volume <= max || tv.adjustVolume === false) return;
+
+		this.log.notice("%1 LG TV %2 - volume %3 is over the maximum, set to %4", this, tv.host, tv.volume, max);
+		tv.ramp = undefined;
+		this.tvRequest(tv, "ssap://audio/setVolume", { volume: max })
+			.catch(err => this.log.warn("%1 LG TV %2 - can't enforce maximum volume: %3", this, tv.host, err));
+	}
+
+	/* setVolume() sets the volume (0-100), clamped to the maximum volume */
+	async setVolume(tv, volume) {
+		if (tv.adjustVolume === false)
+			throw new Error(`volume is not controlled by the TV on ${tv.entity.getAttribute(`${ns}.output`)}`);
+		if (isNaN(volume))
+			throw new Error(`invalid volume: ${volume}`);
+
+		volume = Math.min(this.getMaxVolume(tv), Math.max(0, Math.round(volume)));
+		await this.tvRequest(tv, "ssap://audio/setVolume", { volume: volume });
+	}
+
+	/* rampVolume() fades the volume to the target (0-100) over duration ms, cancelled by other volume changes */
+	async rampVolume(tv, target, duration) {
+		if (tv.volume === undefined)
+			throw new Error("current volume is unknown");
+
+		var ramp = tv.ramp = {};
+		var from = tv.volume;
+		var to = Math.min(this.getMaxVolume(tv), Math.max(0, Math.round(target)));
+		var steps = Math.abs(to - from);
+
+		for (var i = 1; i <= steps; i++) {
+			await new Promise(resolve => setTimeout(resolve, duration / steps));
+			if (tv.ramp !== ramp) return;
+
+			await this.setVolume(tv, from + Math.sign(to - from) * i);
+		}
+
+		tv.ramp = undefined;
+	}
+
+	/* getPresets() returns the presets from config: name => steps */
+	getPresets(tv) {
+		var presets = tv.config.presets;
+		return presets && typeof presets === 'object' && !Array.isArray(presets) ? presets : {};
+	}
+
+	/* applyPreset() runs the steps of a preset in order, each one confirmed by the TV state */
+	async applyPreset(tv, name) {
+		var steps = this.getPresets(tv)[name];
+		if (!Array.isArray(steps))
+			throw new Error(`unknown preset: ${name}`);
+
+		for (var i = 0; i < steps.length; i++) {
+			var type = Object.keys(steps[i] ?? {}).find(key => presetSteps[key] !== undefined);
+			try {
+				if (type === undefined)
+					throw new Error(`unknown step: ${JSON.stringify(steps[i])}`);
+
+				await this.runPresetStep(tv, type, steps[i][type], steps[i].timeout ?? tv.config.preset_timeout ?? 10_000);
+			}
+			catch (err) {
+				this.updateEntityAttributes(tv.entity, {
+					"_ns_.last_preset": { preset: name, success: false, step: i + 1, type: type ?? null, error: err.message, time: Date.now() }
+				});
+				throw new Error(`preset ${name} failed at step ${i + 1} (${type ?? 'unknown'}): ${err.message}`);
+			}
+		}
+
+		this.updateEntityAttributes(tv.entity, {
+			"_ns_.last_preset": { preset: name, success: true, step: null, type: null, error: null, time: Date.now() }
 		});
+	}
 
-		this.lgtv.on('connect', function () {
-			that.online();
+	/* runPresetStep() runs a preset step, and waits for the TV to confirm it */
+	async runPresetStep(tv, type, value, timeout) {
+		this.log.debug(5, "%1 LG TV %2 - preset step %3: %4", this, tv.host, type, value);
+
+		if (type === 'delay')
+			return new Promise(resolve => setTimeout(resolve, parseInt(value, 10) || 0));
+
+		var confirmed;
+		switch (type) {
+			case 'app':
+			case 'wait_app':
+				var appId = this.findApp(tv, value);
+				if (appId === undefined)
+					throw new Error(`unknown app: ${value}`);
+				confirmed = () => tv.foregroundApp === appId;
+				break;
+			case 'input':
+				var input = this.findInput(tv, value);
+				confirmed = () => input !== undefined && tv.foregroundApp === input.appId;
+				break;
+			case 'volume':
+				confirmed = () => tv.adjustVolume === false || tv.volume === Math.min(this.getMaxVolume(tv), Math.max(0, Math.round(value)));
+				break;
+			case 'mute':
+				confirmed = () => tv.muted === (value === true || value === 'true');
+				break;
+			case 'sound_output':
+				confirmed = () => tv.soundOutput === this.findSoundOutput(value);
+				break;
+			case 'picture_mode':
+				confirmed = () => String(tv.settings.pictureMode).toLowerCase() === String(value).toLowerCase();
+				break;
+			default:
+				confirmed = () => true;
+		}
 
-			log.notice("%1 Connected: %2", that, that.config.host);
+		if (presetSteps[type].action)
+			await this.performOnTV(tv, tv.entity, presetSteps[type].action, presetSteps[type].params(value));
 
-			// update connection status
-			that.connected = true;
-			that.updateConnection(e, that.connected);
+		if (!await this.waitForState(tv, confirmed, timeout))
+			throw new Error(`not confirmed by the TV within ${timeout}ms`);
+	}
 
-			that.lgtv.subscribe('ssap://audio/getVolume', function (err, res) {
-				log.debug(5, "%1 getVolume: %2 - %3", that, that.config.host, res);
-				var attributes = {};
+	/* waitForState() resolves to true when the TV state, updated by subscriptions, matches within timeout */
+	waitForState(tv, predicate, timeout) {
+		var started = Date.now();
+		return new Promise((resolve) => {
+			const check = () => {
+				if (predicate()) return resolve(true);
+				if (Date.now() - started >= timeout || !tv.lgtv) return resolve(false);
+				setTimeout(check, 100);
+			};
+			check();
+		});
+	}
 
-				if (res.volumeStatus?.volume !== undefined) attributes["volume.level"] = res.volumeStatus.volume / 100;
-				if (res.volumeStatus?.muteStatus !== undefined) attributes["muting.state"] = res.volumeStatus.muteStatus;
-				if (res.volumeStatus?.soundOutput !== undefined) attributes["_ns_.output"] = res.volumeStatus.soundOutput;
+	/* findSoundOutput() returns the sound output id by id or case-insensitive name */
+	findSoundOutput(name) {
+		var value = String(name ?? '').trim().toLowerCase();
+		return Object.keys(soundOutputs).find(id => id === value || soundOutputs[id].toLowerCase() === value);
+	}
 
-				if (res.changed !== undefined && res.changed.indexOf('volume') !== -1) attributes["volume.level"] = res.volume / 100;
-				if (res.changed !== undefined && res.changed.indexOf('muted') !== -1) attributes["muting.state"] = res.muted;
+	/* updatePlaybackState() maps the foreground media play state to playback_state */
+	updatePlaybackState(tv, media) {
+		// only apps using the webOS media pipeline report it (ie: Netflix, YouTube, media player)
+		var playState = Array.isArray(media) ? media.find(m => m.playState)?.playState : undefined;
+		this.updateEntityAttributes(tv.entity, { "_ns_.playback_state": playbackStates[playState] ?? 'stopped' });
+	}
 
-				// update attributes with debounce
-				debounce(function () {
-					log.debug(5, "%1 debounce: %2", that, attributes);
-					that.updateEntityAttributes(e, attributes);
-				}, 2000)();
+	/* updateLiveTV() subscribes to the current channel while live TV is in foreground */
+	updateLiveTV(tv, active) {
+		if (active && tv.channelSubscription === undefined) {
+			this.subscribeChannel(tv, 0);
+			if (tv.channels.length === 0)
+				this.loadChannels(tv).catch(err => this.log.warn("%1 getChannelList failed: %2", this, err));
+		}
+		else if (!active && tv.channelSubscription !== undefined) {
+			tv.channelSubscription.unsubscribe();
+			tv.channelSubscription = undefined;
+			clearTimeout(tv.channelTimer);
+			clearTimeout(tv.programTimer);
+
+			this.updateEntityAttributes(tv.entity, {
+				"_ns_.channel_id": null,
+				"_ns_.channel_number": null,
+				"_ns_.channel_name": null,
+				"_ns_.program_title": null,
+				"_ns_.program_start": null,
+				"_ns_.program_end": null,
+				"_ns_.next_program_title": null,
+				"_ns_.next_program_start": null,
 			});
+		}
+	}
 
-			var liveTVReady = false;
-			that.lgtv.subscribe('ssap://com.webos.applicationManager/getForegroundAppInfo', function (err, res) {
-				log.debug(5, "%1 getForegroundAppInfo: %2 - %3", that, that.config.host, res);
-
-				// update attributes
-				that.updateEntityAttributes(e, { "_ns_.input": res.appId });
-
-				// live TV support
-				if (res.appId === 'com.webos.app.livetv') {
-					if (!liveTVReady) {
-						liveTVReady = true;
-						setTimeout(() => {
-							that.lgtv.subscribe('ssap://tv/getCurrentChannel', (err, res) => {
-								log.debug(5, "%1 getCurrentChannel: %2 - %3", that, that.config.host, res);
-								if (err) {
-									that.onError(that, err);
-									return;
-								}
-
-								var attributes = {};
-								attributes["_ns_.channel_id"] = res.channelNumber;
-								that.updateEntityAttributes(e, attributes);
-							});
-						}, 3000);
-					}
+	/* subscribeChannel() subscribes to getCurrentChannel, retrying while live TV is starting */
+	subscribeChannel(tv, attempt) {
+		tv.channelSubscription = tv.lgtv.subscribe('ssap://tv/getCurrentChannel', (err, res) => {
+			this.log.debug(5, "%1 getCurrentChannel: %2 - %3", this, tv.host, res);
+			if (err || res?.returnValue === false) {
+				if (attempt >= 3) {
+					// the handle is kept until live TV leaves the foreground, but it's not resent on reconnections
+					this.log.warn("%1 getCurrentChannel failed: %2", this, err ?? res?.errorText);
+					tv.channelSubscription?.unsubscribe();
+					return;
 				}
+
+				// live TV needs some time to be ready after launch
+				tv.channelSubscription?.unsubscribe();
+				tv.channelTimer = setTimeout(() => {
+					if (tv.channelSubscription === undefined)
+						return;
+					if (tv.connected)
+						this.subscribeChannel(tv, attempt + 1);
+					else
+						tv.channelSubscription = undefined;
+				}, 1000 * (attempt + 1));
+				return;
+			}
+
+			this.updateEntityAttributes(tv.entity, {
+				"_ns_.channel_id": res.channelNumber,
+				"_ns_.channel_number": res.channelNumber,
+				"_ns_.channel_name": res.channelName,
 			});
+			this.loadProgramInfo(tv);
 		});
+	}
 
-		this.lgtv.on('prompt', function () {
-			log.warn("%1 prompt: %2", that, that.config.host);
-			that.sendWarning("LG TV needs your authorization to run: check your TV and approve the request");
+	/* loadChannels() loads the channel list */
+	loadChannels(tv) {
+		return new Promise((resolve, reject) => {
+			if (!tv.lgtv) return reject(new Error("not connected"));
+
+			tv.lgtv.request('ssap://tv/getChannelList', (err, res) => {
+				if (err || res?.returnValue === false) return reject(err ?? new Error(res?.errorText));
+
+				tv.channels = (res.channelList ?? []).map(channel => ({
+					id: channel.channelId,
+					number: channel.channelNumber,
+					name: channel.channelName,
+				}));
+				this.updateEntityAttributes(tv.entity, {
+					"_ns_.channels": tv.channels.map(channel => ({ number: channel.number, name: channel.name }))
+				});
+				resolve(tv.channels);
+			});
 		});
+	}
 
-		this.lgtv.on('close', function () {
-			log.debug(5, "%1 Connection closed: %2", that, that.config.host);
+	/* findChannel() returns the channel by number or case-insensitive name */
+	findChannel(tv, name) {
+		var value = String(name ?? '').trim().toLowerCase();
+		return tv.channels.find(channel => String(channel.number) === value) ??
+			tv.channels.find(channel => String(channel.name).toLowerCase() === value);
+	}
 
-			// update connection status
-			that.connected = false;
-			that.updateConnection(e, that.connected);
+	/* loadProgramInfo() updates current and next program, and refreshes it when the current one ends */
+	loadProgramInfo(tv) {
+		clearTimeout(tv.programTimer);
 
-			log.debug(5, "%1 Connection closed", that);
-		});
+		tv.lgtv?.request('ssap://tv/getChannelProgramInfo', (err, res) => {
+			this.log.debug(5, "%1 getChannelProgramInfo: %2 - %3", this, tv.host, res);
+			if (err || res?.returnValue === false) {
+				this.log.debug(5, "%1 getChannelProgramInfo failed: %2", this, err ?? res?.errorText);
+				return;
+			}
 
+			var now = Date.now();
+			var programs = (res.programList ?? [])
+				.map(program => ({
+					title: program.programName,
+					start: parseProgramTime(program.localStartTime ?? program.startTime),
+					end: parseProgramTime(program.localEndTime ?? program.endTime),
+				}))
+				.filter(program => program.start !== undefined && program.end !== undefined && program.end > now)
+				.sort((a, b) => a.start - b.start);
+
+			var current = programs.find(program => program.start <= now);
+			var next = programs.find(program => program.start > now);
+
+			this.updateEntityAttributes(tv.entity, {
+				"_ns_.program_title": current?.title ?? null,
+				"_ns_.program_start": current?.start ?? null,
+				"_ns_.program_end": current?.end ?? null,
+				"_ns_.next_program_title": next?.title ?? null,
+				"_ns_.next_program_start": next?.start ?? null,
+			});
+
+			var refresh = current?.end ?? next?.start;
+			if (refresh !== undefined)
+				tv.programTimer = setTimeout(() => this.loadProgramInfo(tv), Math.max(1000, refresh - now + 2000));
+		});
 	}
 
-	/* mapSystemDevice() is used to create the system device */
-	mapSystemDevice(that, state) {
-		that.mapDevice("system", that.config.name ?? "LG TV",
-			["volume", "muting", "power_switch", "toggle", "sys_system", ns], "power_switch.state",
-			{
-				"power_switch.state": state,
-				"toggle.state": state,
-				"_ns_.online": state,
+	/* getInputSocket() opens (or reuses) the pointer input socket, used to send buttons */
+	getInputSocket(tv) {
+		return new Promise((resolve, reject) => {
+			if (!tv.lgtv) return reject(new Error("not connected"));
+
+			// lgtv2 caches the socket, and opens a new one if it was dropped
+			tv.lgtv.getSocket('ssap://com.webos.service.networkinput/getPointerInputSocket', (err, socket) => {
+				err ? reject(err) : resolve(socket);
 			});
+		});
 	}
 
-	/* updateConnection() is used to update the connection status */
-	updateConnection(e, state) {
-		var attributes = {
-			"power_switch.state": state,
-			"toggle.state": state,
-			"_ns_.online": state,
-		};
+	/* parseButtons() parses "HOME, DOWN:500, ENTER" (or a JSON array) into steps, throwing if invalid */
+	parseButtons(tv, value, delay) {
+		var items = value;
+		if (typeof value === 'string')
+			items = value.trim().startsWith('[') ? JSON.parse(value) : value.split(/[\s,]+/).filter(item => item);
+		if (!Array.isArray(items) || items.length === 0) throw new Error("buttons param is mandatory and must be specified");
+
+		var steps = [];
+		for (const item of items) {
+			var [button, wait] = typeof item === 'object' ? [item.button, item.delay] : String(item).split(':');
+			button = String(button ?? '').toUpperCase();
+			if (!buttons.includes(button))
+				throw new Error(`unknown button: ${button}`);
+
+			steps.push({ button: button, delay: parseInt(wait ?? delay, 10) || 0 });
+		}
 
-		// update attributes
-		this.updateEntityAttributes(e, attributes);
+		return steps;
 	}
 
-	/* offline() is used to handle the offline status */
-	onError(that, err) {
-		console.log(err);
-		that.log.err("%1 Error: %2", that, err);
+	/* sendButtons() sends buttons in sequence, waiting the given delay after each one */
+	async sendButtons(tv, steps) {
+		for (var i = 0; i < steps.length; i++) {
+			var socket = await this.getInputSocket(tv);
+			this.log.debug(5, "%1 sending button %2", this, steps[i].button);
+			socket.send('button', { name: steps[i].button });
 
-		try {
-			that.startDelay(Math.min(120_000, (that.config.error_interval || 5_000) * Math.max(1, ++that.failures - 12)));
+			if (i < steps.length - 1 && steps[i].delay > 0)
+				await new Promise(resolve => setTimeout(resolve, steps[i].delay));
 		}
-		catch {
-			// soft warning
+	}
+
+	/* onError() records the error: reconnection is handled by the client */
+	onError(tv, err) {
+		this.log.err("%1 Error: %2", this, err);
+		tv.failures++;
+
+		// controller is offline when all TVs are failing
+		if ([...this.tvs.values()].every(tv => tv.failures >= 3)) {
+			this.offline();
 		}
+	}
+
+	/* findTV() returns the TV mapped to the given entity */
+	findTV(e) {
+		return [...this.tvs.values()].find(tv => tv.entity === e) ?? this.tvs.get(e.getID());
+	}
+
+	/* tvRequest() sends a request, rejecting with the webOS errorText on failures or timeout */
+	tvRequest(tv, uri, payload) {
+		if (!tv.lgtv) return Promise.reject(new Error("not connected"));
+
+		return tv.lgtv.request(uri, payload ?? {});
+	}
+
+	/* queueCommand() holds an action while the TV is connecting, resolving once connected with the function releasing the next one */
+	queueCommand(tv, actionName) {
+		var size = tv.config.command_queue ?? 0;
+		if (!tv.lgtv || size <= 0)
+			return Promise.reject(new Error("TV is offline - can't execute"));
+		if (tv.queue.length >= size)
+			return Promise.reject(new Error("TV is offline and command queue is full - can't execute"));
+
+		var timeout = tv.config.command_queue_timeout || 30_000;
+		this.log.debug(5, "%1 LG TV %2 is connecting - queuing: %3", this, tv.host, actionName);
+
+		return new Promise((resolve, reject) => {
+			var command = { actionName: actionName, resolve: resolve, reject: reject };
+			command.timer = setTimeout(() => {
+				tv.queue = tv.queue.filter(item => item !== command);
+				reject(new Error(`TV did not connect within ${timeout}ms - can't execute`));
+			}, timeout);
+
+			tv.queue.push(command);
+		});
+	}
+
+	/* releaseCommands() replays queued actions in order once connected, one at a time, or rejects them */
+	releaseCommands(tv, err) {
+		if (err) {
+			var queue = tv.queue;
+			tv.queue = [];
 
-		if (that.failures >= 3) {
-			that.offline();
+			queue.forEach(command => {
+				clearTimeout(command.timer);
+				command.reject(err);
+			});
+			return;
 		}
+
+		if (tv.queueRunning || tv.queue.length === 0) return;
+
+		// when the connection drops meanwhile, the others wait for the next one
+		var command = tv.queue.shift();
+		clearTimeout(command.timer);
+		tv.queueRunning = true;
+		command.resolve(() => {
+			tv.queueRunning = false;
+			if (tv.connected)
+				this.releaseCommands(tv);
+		});
 	}
 
 	/* performOnEntity() is used to implement actions on entities */
 	async performOnEntity(e, actionName, params) {
 		this.log.debug(5, "%1 [performOnEntity] %3 - %2 - %4", this, actionName, e, params);
 
-		if (!this.connected && !actionName.startsWith('sys_system')) {
-			this.log.warn("%1 LG TV %2 is offline - can't execute: %3", this, this.config.host, actionName);
+		if (actionName === 'sys_system.restart') {
+			// config changes (ie: host, secure, timeout) are applied first, then the other TVs are restarted
+			var started = this.startTVs();
+			this.tvs.forEach((tv, id) => {
+				if (started.has(id)) return;
+				this.stopClient(tv);
+				this.startClient(tv);
+			});
 			return;
 		}
 
+		var tv = this.findTV(e);
+		if (!tv) {
+			return super.performOnEntity(e, actionName, params);
+		}
+
+		// optional capabilities are known once the TV is queried: queued actions are checked when released
+		const checkFeature = () => {
+			if (!this.supportsFeature(tv, actionName.split('.')[0]))
+				throw new Error(`${actionName} is not supported by this TV`);
+		};
+
+		try {
+			if (tv.state.deviceInfo !== undefined)
+				checkFeature();
+
+			// power on is allowed while offline, via Wake-on-LAN, as pairing and screen time actions: others wait for the connection
+			var allowed = ['power_switch.on', 'toggle.toggle', `${ns}.enter_pin`, `${ns}.unpair`, `${ns}.repair`,
+				`${ns}.screen_time_report`, `${ns}.reset_screen_time`, `${ns}.parental_override`].includes(actionName);
+			if (!tv.connected && !actionName.startsWith('sys_system') && !allowed) {
+				// queued actions run one at a time: the next one is released when this one is done
+				var next = await this.queueCommand(tv, actionName);
+				try {
+					checkFeature();
+					return await this.performOnTV(tv, e, actionName, params);
+				}
+				finally {
+					next();
+				}
+			}
+
+			checkFeature();
+			return await this.performOnTV(tv, e, actionName, params);
+		}
+		catch (err) {
+			// rethrow, so the failure is reported by the reaction
+			this.log.warn("%1 LG TV %2 - %3 failed: %4", this, tv.host, actionName, err?.message ?? err);
+			throw err;
+		}
+	}
+
+	/* performOnTV() implements actions on a TV, throwing on failures */
+	async performOnTV(tv, e, actionName, params) {
 		switch (actionName) {
 			case `${ns}.sendnotification`:
 			case `${ns}.send_notification`:
-				if (params?.text == undefined) {
-					this.log.warn("%1 LG TV %2- text param is mandatory and must be specified", this, this.config.host);
-				}
-				else {
-					this.lgtv?.send("request", "ssap://system.notifications/createToast", {
-						message: params.text
+				await this.sendToast(tv, params);
+				return;
+			case `${ns}_alerts.send_alert`:
+				await this.sendAlert(tv, params);
+				return;
+			case `${ns}_capture.capture_screen`:
+				await this.captureScreen(tv);
+				return;
+			case `${ns}_alerts.close_alert`:
+				var alertId = params?.alert_id || e.getAttribute(`${ns}.last_alert_id`);
+				var alert = [...tv.alerts.values()].find(alert => alert.id === alertId);
+				if (alert !== undefined)
+					await this.closeAlert(tv, alert, null, true);
+				else if (alertId) {
+					await this.tvRequest(tv, "ssap://system.notifications/closeAlert", { alertId: alertId });
+					this.updateEntityAttributes(tv.entity, {
+						"_ns_.last_alert_response": { alert_id: alertId, button: null, time: Date.now() }
 					});
 				}
+				else
+					throw new Error("no alert to close");
+				return;
+			case `${ns}.request`:
+				if (!params?.uri)
+					throw new Error("uri param is mandatory and must be specified");
+
+				var payload = parseObject(params.payload) ?? {};
+				try {
+					var response = await this.tvRequest(tv, params.uri, payload);
+					this.updateEntityAttributes(e, { "_ns_.last_response": { uri: params.uri, response: response, time: Date.now() } });
+				}
+				catch (err) {
+					// rules can check the error, as the reaction fails
+					this.updateEntityAttributes(e, { "_ns_.last_response": { uri: params.uri, error: err.message, time: Date.now() } });
+					throw err;
+				}
+				return;
+			case `${ns}.enter_pin`:
+				if (params?.pin == undefined)
+					throw new Error("pin param is mandatory and must be specified");
+				if (!tv.lgtv)
+					throw new Error("not connected");
+
+				await tv.lgtv.setPin(params.pin);
 				return;
+			case `${ns}.unpair`:
+				await this.unpair(tv);
+				this.stopClient(tv);
+				this.updateConnection(tv, false);
+				return;
+			case `${ns}.repair`:
+				await this.unpair(tv);
+				this.stopClient(tv);
+				this.startClient(tv);
+				return;
+
 			case 'power_switch.on':
-				this.lgtv?.request("ssap://system/turnOn");
+				if (tv.powerState === 'screen_off') {
+					await this.tvRequest(tv, "ssap://com.webos.service.tvpower/power/turnOnScreen", { standbyMode: 'active' });
+					return;
+				}
+
+				// webOS has no ssap call to turn on: off, suspended and standby TVs are woken up via Wake-on-LAN
+				if (tv.powerState !== 'active')
+					await this.wakeUp(tv);
 				return;
 			case 'power_switch.off':
-				this.lgtv?.request("ssap://system/turnOff");
+				await this.tvRequest(tv, "ssap://system/turnOff");
+				return;
+			case `${ns}.launch_app`:
+				var appId = this.findApp(tv, params?.app);
+				if (appId === undefined)
+					throw new Error(`unknown app: ${params?.app}`);
+
+				var payload = { id: appId };
+				var appParams = parseObject(params?.params) ?? {};
+				if (params?.content_id) payload.contentId = params.content_id;
+				if (params?.url) appParams.target = params.url;
+				if (Object.keys(appParams).length > 0) payload.params = appParams;
+
+				await this.tvRequest(tv, "ssap://system.launcher/launch", payload);
+				return;
+			case `${ns}.close_app`:
+				var appId = params?.app ? this.findApp(tv, params.app) : tv.foregroundApp;
+				if (appId === undefined)
+					throw new Error(`unknown app: ${params?.app}`);
+
+				await this.tvRequest(tv, "ssap://system.launcher/close", { id: appId });
+				return;
+
+			case 'av_source.select':
+				var input = this.findInput(tv, params?.source);
+				if (input === undefined)
+					throw new Error(`unknown source: ${params?.source}`);
+
+				await this.tvRequest(tv, "ssap://tv/switchInput", { inputId: input.id });
+				return;
+
+			case `${ns}.send_button`:
+				await this.sendButtons(tv, this.parseButtons(tv, [params?.button ?? '']));
+				return;
+			case `${ns}.send_buttons`:
+				await this.sendButtons(tv, this.parseButtons(tv, params?.buttons ?? '', params?.delay ?? 250));
+				return;
+
+			case `${ns}_channels.channel_up`:
+				await this.tvRequest(tv, "ssap://tv/channelUp");
+				return;
+			case `${ns}_channels.channel_down`:
+				await this.tvRequest(tv, "ssap://tv/channelDown");
+				return;
+			case `${ns}_channels.set_channel`:
+				if (tv.channels.length === 0)
+					await this.loadChannels(tv).catch(err => this.log.warn("%1 getChannelList failed: %2", this, err));
+
+				var channel = this.findChannel(tv, params?.channel);
+				if (channel !== undefined)
+					await this.tvRequest(tv, "ssap://tv/openChannel", { channelId: channel.id });
+				else if (/^[0-9]+(-[0-9]+)?$/.test(String(params?.channel ?? '').trim()))
+					await this.tvRequest(tv, "ssap://tv/openChannel", { channelNumber: String(params.channel).trim() });
+				else
+					throw new Error(`unknown channel: ${params?.channel}`);
+				return;
+
+			case 'media_transport.play':
+				await this.tvRequest(tv, "ssap://media.controls/play");
+				return;
+			case 'media_transport.pause':
+				await this.tvRequest(tv, "ssap://media.controls/pause");
+				return;
+			case 'media_transport.stop':
+				await this.tvRequest(tv, "ssap://media.controls/stop");
+				return;
+			case 'media_transport.rewind':
+				await this.tvRequest(tv, "ssap://media.controls/rewind");
+				return;
+			case 'media_transport.ffwd':
+			case 'media_transport.fast_forward':
+				await this.tvRequest(tv, "ssap://media.controls/fastForward");
+				return;
+
+			case `${ns}_settings.set_picture_mode`:
+				await this.setSetting(tv, "picture", "pictureMode", params?.mode);
+				return;
+			case `${ns}_settings.set_backlight`:
+				// OLED TVs have no backlight
+				await this.setSetting(tv, "picture", tv.settings.oledLight !== undefined ? "oledLight" : "backlight", params?.level);
+				return;
+			case `${ns}_settings.set_energy_saving`:
+				await this.setSetting(tv, "picture", "energySaving", params?.mode);
 				return;
+			case `${ns}_settings.set_sound_mode`:
+				await this.setSetting(tv, "sound", "soundMode", params?.mode);
+				return;
+
+			case `${ns}_sound_output.set_sound_output`:
+				var output = this.findSoundOutput(params?.output);
+				if (output === undefined)
+					throw new Error(`unknown sound output: ${params?.output} (supported: ${Object.keys(soundOutputs).join(', ')})`);
+
+				await this.tvRequest(tv, "ssap://com.webos.service.apiadapter/audio/changeSoundOutput", { output: output });
+				return;
+
+			case `${ns}.insert_text`:
+				if (params?.text == undefined)
+					throw new Error("text param is mandatory and must be specified");
+
+				await this.tvRequest(tv, "ssap://com.webos.service.ime/insertText", { text: String(params.text), replace: params.replace === true || params.replace === 'true' });
+				return;
+			case `${ns}.delete_characters`:
+				var count = parseInt(params?.count ?? 1, 10);
+				if (isNaN(count) || count < 1)
+					throw new Error(`invalid count: ${params?.count}`);
+
+				await this.tvRequest(tv, "ssap://com.webos.service.ime/deleteCharacters", { count: count });
+				return;
+			case `${ns}.send_enter`:
+				await this.tvRequest(tv, "ssap://com.webos.service.ime/sendEnterKey");
+				return;
+
+			case `${ns}.screen_off`:
+				await this.tvRequest(tv, "ssap://com.webos.service.tvpower/power/turnOffScreen", { standbyMode: 'active' });
+				return;
+			case `${ns}.screen_on`:
+				await this.tvRequest(tv, "ssap://com.webos.service.tvpower/power/turnOnScreen", { standbyMode: 'active' });
+				return;
+
 			case 'toggle.toggle':
 				var state = e.getAttribute('power_switch.state') === true;
-				this.performOnEntity(e, state ? 'power_switch.off' : 'power_switch.on');
-				return;
+				return this.performOnTV(tv, e, state ? 'power_switch.off' : 'power_switch.on');
 
 			case 'volume.increase':
-				var currentVolume = e.getAttribute("volume.level") ?? -1;
-				if (currentVolume == -1) {
-					this.lgtv?.request("ssap://audio/volumeUp");
-				}
-				else {
-					var volume = ((params?.amount || 0) + currentVolume) * 100;
-					this.lgtv?.request("ssap://audio/setVolume", { volume: parseInt(volume, 10) } || 0);
-				}
-				return;
 			case 'volume.decrease':
-				var currentVolume = e.getAttribute("volume.level") ?? -1;
-				if (currentVolume == -1) {
-					this.lgtv?.request("ssap://audio/volumeDown");
-				}
-				else {
-					var volume = ((params?.amount || 0) - currentVolume) * 100;
-					this.lgtv?.request("ssap://audio/setVolume", { volume: parseInt(volume, 10) } || 0);
+				tv.ramp = undefined;
+				var direction = actionName === 'volume.increase' ? 1 : -1;
+
+				// without amount, or when the volume is unknown (ie: soundbars), step like the remote
+				if (!params?.amount || tv.volume === undefined) {
+					if (direction > 0 && tv.volume !== undefined && tv.volume >= this.getMaxVolume(tv))
+						return;
+
+					await this.tvRequest(tv, direction > 0 ? "ssap://audio/volumeUp" : "ssap://audio/volumeDown");
+					return;
 				}
+
+				await this.setVolume(tv, tv.volume + direction * Math.abs(params.amount) * 100);
 				return;
 			case 'volume.relative':
-				var volume = (params?.amount || 0) * 100;
+				tv.ramp = undefined;
+				if (tv.volume === undefined)
+					throw new Error("current volume is unknown");
 
-				this.lgtv?.request("ssap://audio/setVolume", { volume: parseInt(volume, 10) } || 0);
+				await this.setVolume(tv, tv.volume + (parseFloat(params?.amount) || 0) * 100);
 				return;
 
 			case 'volume.setdb':
 			case 'volume.set':
-				var volume = (params?.value || params?.db || 0) * 100;
-				this.lgtv?.request("ssap://audio/setVolume", { volume: parseInt(volume, 10) } || 0);
+				tv.ramp = undefined;
+				await this.setVolume(tv, parseFloat(params?.value ?? params?.db ?? 0) * 100);
+				return;
+			case `${ns}.screen_time_report`:
+				this.reportScreenTime(tv, params);
+				return;
+			case `${ns}.reset_screen_time`:
+				this.resetScreenTime(tv, params);
+				return;
+			case `${ns}.parental_override`:
+				this.overrideParentalRules(tv, params?.duration);
+				return;
+			case `${ns}.apply_preset`:
+				await this.applyPreset(tv, params?.preset);
+				return;
+			case `${ns}.ramp_volume`:
+				var level = parseFloat(params?.level);
+				if (isNaN(level) || level < 0 || level > 1)
+					throw new Error(`invalid level: ${params?.level} (0-1)`);
+
+				await this.rampVolume(tv, level * 100, Math.max(0, parseInt(params?.duration ?? 5000, 10) || 0));
 				return;
 
 			case 'muting.mute':
 			case 'muting.unmute':
 			case 'muting.toggle':
 			case 'muting.set':
-				var payload = params?.muting === 'true' || actionName == 'muting.mute';
-
-				// TODO: special case for toggle
-				this.lgtv?.request('ssap://audio/setMute', { mute: payload });
-				return;
-
-			case 'sys_system.restart':
-				this.lgtv = undefined;
-				this.stopping = false;
-				this.startClient();
+				var payload = actionName === 'muting.toggle' ? !tv.muted : String(params?.muting) === 'true' || actionName == 'muting.mute';
+				await this.tvRequest(tv, 'ssap://audio/setMute', { mute: payload });
 				return;
 		}
 
@@ -333,7 +2406,7 @@ module.exports = class LGTVController extends Controller {
 	}
 
 	/* Maps a device into a MSR entity */
-	mapDevice(id, name, capabilities, defaultAttribute, attributes) {
+	mapDevice(id, name, capabilities, defaultAttribute, attributes, revision) {
 		this.log.debug(5, "%1 mapDevice(%2, %3, %4, %5, %6)", this, id, name, capabilities, defaultAttribute, attributes);
 
 		var isNew = false;
@@ -357,7 +2430,7 @@ module.exports = class LGTVController extends Controller {
 				e.extendCapabilities(capabilities);
 
 				// Check controller and system capabilities versions for changes
-				const vinfo = { ...Capabilities.getSysInfo(), controller: version };
+				const vinfo = { ...Capabilities.getSysInfo(), controller: version, capabilities: capabilities, revision: revision };
 				const hash = util.hash(JSON.stringify(vinfo));
 				if (e._hash !== hash) {
 					e.refreshCapabilities();
@@ -377,6 +2450,8 @@ module.exports = class LGTVController extends Controller {
 		} finally {
 			e.deferNotifies(false);
 		}
+
+		return e;
 	}
 
 	updateEntityAttributes(e, attributes) {
@@ -406,4 +2481,4 @@ module.exports = class LGTVController extends Controller {
 			e.deferNotifies(false);
 		}
 	}
-};
\ No newline at end of file
+};
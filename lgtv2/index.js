@@ -31,6 +31,10 @@ var SpecializedSocket = function (ws) {
   this.close = function () {
     ws.close();
   };
+
+  this.isConnected = function () {
+    return ws.connected;
+  };
 };
 
 var LGTV = function (config) {
@@ -43,6 +47,9 @@ var LGTV = function (config) {
   config.url = config.url || 'ws://lgwebostv:3000';
   config.timeout = config.timeout || 15000;
   config.reconnect = typeof config.reconnect === 'undefined' ? 5000 : config.reconnect;
+  config.reconnectMax = config.reconnectMax || 120000;
+  config.reconnectJitter = typeof config.reconnectJitter === 'undefined' ? 0.2 : config.reconnectJitter;
+  config.pingInterval = typeof config.pingInterval === 'undefined' ? 30000 : config.pingInterval;
   if (typeof config.clientKey === 'undefined') {
     // mkdirp(ppath('lgtv2'));
     config.keyFile = (config.keyFile ? config.keyFile : '/userdata/com.maxvandelaar.webos-plus-keyfile-' + config.url.replace(/[a-z]+:\/\/([0-9a-zA-Z-_.]+):[0-9]+/, '$1'));
@@ -58,14 +65,22 @@ var LGTV = function (config) {
     fs.writeFile(config.keyFile, key, cb);
   };
 
-  var client = new WebSocketClient();
+  var client = new WebSocketClient(Object.assign({}, config.wsconfig));
   var connection = {};
   var isPaired = false;
   var autoReconnect = config.reconnect;
+  var reconnectTimer;
+  var reconnectAttempts = 0;
+  var connecting = false;
+  var pingTimer;
+  var workingUrl;
+  var stopped = false;
 
   var specializedSockets = {};
 
   var callbacks = {};
+  var subscriptions = {};
+  var registerCid;
   var cidCount = 0;
   var cidPrefix = ('0000000' + (Math.floor(Math.random() * 0xFFFFFFFF).toString(16))).slice(-8);
 
@@ -73,39 +88,126 @@ var LGTV = function (config) {
     return cidPrefix + ('000' + (cidCount++).toString(16)).slice(-4);
   }
 
-  var pairing = require('./pairing.json');
+  function sendMessage(cid, type, uri, payload) {
+    connection.send(JSON.stringify({
+      id: cid,
+      type: type,
+      uri: uri,
+      payload: payload
+    }));
+  }
+
+  function abortError(signal) {
+    if (signal.reason instanceof Error) {
+      return signal.reason;
+    }
+    var err = new Error('aborted');
+    err.name = 'AbortError';
+    return err;
+  }
+
+  function responseError(res) {
+    var err = new Error(res.errorText || 'request failed');
+    err.errorCode = res.errorCode;
+    return err;
+  }
+
+  // (payload, options, cb), with payload and options optional
+  function parseArgs(payload, options, cb) {
+    if (typeof payload === 'function') {
+      cb = payload;
+      payload = undefined;
+      options = undefined;
+    } else if (typeof options === 'function') {
+      cb = options;
+      options = undefined;
+    }
+    return {payload: payload || {}, options: options || {}, cb: cb};
+  }
+
+  // Subscriptions are kept across reconnections, and sent again once registered
+  function resubscribe() {
+    Object.keys(subscriptions).forEach(function (cid) {
+      sendMessage(cid, 'subscribe', subscriptions[cid].uri, subscriptions[cid].payload);
+    });
+  }
+
+  // Exponential backoff with jitter, capped to reconnectMax, reset once connected
+  function scheduleReconnect() {
+    clearTimeout(reconnectTimer);
+    if (!autoReconnect) {
+      return;
+    }
+
+    var delay = Math.min(config.reconnectMax, config.reconnect * Math.pow(2, reconnectAttempts));
+    delay = Math.round(delay * (1 - config.reconnectJitter * Math.random()));
+    reconnectAttempts++;
+
+    that.emit('reconnect', reconnectAttempts, delay);
+    reconnectTimer = setTimeout(function () {
+      reconnectTimer = undefined;
+      if (autoReconnect) {
+        that.connect(config.url);
+      }
+    }, delay);
+  }
+
+  // Round-trip latency, measured with pings carrying the sending time
+  function startPing() {
+    clearInterval(pingTimer);
+    if (!config.pingInterval) {
+      return;
+    }
+
+    pingTimer = setInterval(function () {
+      if (connection.connected) {
+        connection.ping(String(Date.now()));
+      }
+    }, config.pingInterval);
+  }
+
+  var pairing = config.manifest || require('./pairing.json');
 
   var lastError;
 
   client.on('connectFailed', function (error) {
+    connecting = false;
     if (lastError !== error.toString()) {
       that.emit('error', error);
     }
     lastError = error.toString();
 
-	switch (error.code) {
-		case 'ECONNRESET':
-			config.newurl = new URL(config.url);
-			config.newurl.port = (config.newurl.port === '3000') ? '3001' : '3000';
-			config.newurl.protocol = (config.newurl.protocol === 'ws:') ? 'wss:' : 'ws:';
-			config.url = config.newurl.href;
-			delete config.newurl;
-			break;
-		default:
-			break;
-	}
-
-    if (config.reconnect) {
-      setTimeout(function () {
-        if (autoReconnect) {
-          that.connect(config.url);
-        }
-      }, config.reconnect);
+    // Older firmwares only support ws, newer ones only wss: try the other one, until one works
+    if (error.code === 'ECONNRESET' && !workingUrl) {
+      var url = new URL(config.url);
+      url.port = (url.port === '3000') ? '3001' : '3000';
+      url.protocol = (url.protocol === 'ws:') ? 'wss:' : 'ws:';
+      config.url = url.href;
     }
+
+    scheduleReconnect();
   });
 
   client.on('connect', function (conn) {
+    connecting = false;
+    if (stopped) {
+      // disconnected while connecting
+      conn.close();
+      return;
+    }
+
     connection = conn;
+    workingUrl = config.url;
+    reconnectAttempts = 0;
+    lastError = undefined;
+    startPing();
+
+    connection.on('pong', function (data) {
+      var sent = parseInt(data && data.toString(), 10);
+      if (sent) {
+        that.emit('latency', Date.now() - sent);
+      }
+    });
 
     connection.on('error', function (error) {
       that.emit('error', error);
@@ -113,18 +215,21 @@ var LGTV = function (config) {
 
     connection.on('close', function (e) {
       connection = {};
+      isPaired = false;
+
+      // pending requests will never be answered
       Object.keys(callbacks).forEach(function (cid) {
+        var cb = callbacks[cid];
+        if (cid !== registerCid) {
+          cb(new Error('connection closed'));
+        }
         delete callbacks[cid];
       });
+      registerCid = undefined;
+      clearInterval(pingTimer);
 
       that.emit('close', e);
-      if (config.reconnect) {
-        setTimeout(function () {
-          if (autoReconnect) {
-            that.connect(config.url);
-          }
-        }, config.reconnect);
-      }
+      scheduleReconnect();
     });
 
     connection.on('message', function (message) {
@@ -137,7 +242,9 @@ var LGTV = function (config) {
             that.emit('error', new Error('JSON parse error ' + message.utf8Data));
           }
         }
-        if (parsedMessage && callbacks[parsedMessage.id]) {
+        var cb = parsedMessage && (callbacks[parsedMessage.id] ||
+          (subscriptions[parsedMessage.id] && subscriptions[parsedMessage.id].cb));
+        if (cb) {
           if (parsedMessage.payload && parsedMessage.payload.subscribed) {
             // Set changed array on first response to subscription
             if (typeof parsedMessage.payload.muted !== 'undefined') {
@@ -155,7 +262,11 @@ var LGTV = function (config) {
               }
             }
           }
-          callbacks[parsedMessage.id](null, parsedMessage.payload);
+          if (parsedMessage.type === 'error') {
+            cb(new Error(parsedMessage.error || 'error'), parsedMessage.payload);
+          } else {
+            cb(null, parsedMessage.payload);
+          }
         }
       } else {
         that.emit('error', new Error('received non utf8 message ' + message.toString()));
@@ -168,20 +279,31 @@ var LGTV = function (config) {
   });
 
   this.register = function () {
-    pairing['client-key'] = that.clientKey || undefined;
+    var payload = Object.assign({}, pairing, {
+      'client-key': that.clientKey || undefined,
+      pairingType: config.pairingType || pairing.pairingType
+    });
 
-    that.send('register', undefined, pairing, function (err, res) {
+    if (registerCid) {
+      delete callbacks[registerCid];
+    }
+
+    registerCid = that.send('register', undefined, payload, function (err, res) {
       if (!err && res) {
         if (res['client-key']) {
+          delete callbacks[registerCid];
+          registerCid = undefined;
+          isPaired = true;
+
+          resubscribe();
           that.emit('connect');
           that.saveKey(res['client-key'], function (err) {
             if (err) {
               that.emit('error', err);
             }
           });
-          isPaired = true;
         } else {
-          that.emit('prompt');
+          that.emit('prompt', res.pairingType);
         }
       } else {
         that.emit('error', err);
@@ -189,12 +311,202 @@ var LGTV = function (config) {
     });
   };
 
-  this.request = function (uri, payload, cb) {
-    this.send('request', uri, payload, cb);
+  /**
+   *      Send the PIN shown on the TV, when pairingType is "PIN"
+   *
+   */
+  this.setPin = function (pin, cb) {
+    return that.request('ssap://pairing/setPin', { pin: String(pin) }, cb);
   };
 
-  this.subscribe = function (uri, payload, cb) {
-    this.send('subscribe', uri, payload, cb);
+  /**
+   *      Forget the client key, so the TV will ask to pair again on next register
+   *
+   */
+  this.forgetKey = function (cb) {
+    that.clientKey = undefined;
+    if (!config.keyFile) {
+      if (typeof cb === 'function') cb(null);
+      return;
+    }
+
+    fs.unlink(config.keyFile, function (err) {
+      if (typeof cb === 'function') cb(err && err.code !== 'ENOENT' ? err : null);
+    });
+  };
+
+  function sendRequest(uri, payload, options, cb) {
+    var signal = options.signal;
+    if (signal && signal.aborted) {
+      cb(abortError(signal));
+      return;
+    }
+
+    if (!connection.connected) {
+      cb(new Error('not connected'));
+      return;
+    }
+
+    var cid = getCid();
+    var timer;
+
+    var onAbort = function () {
+      done(abortError(signal));
+    };
+
+    var done = function (err, res) {
+      if (!callbacks[cid]) {
+        return;
+      }
+      // Remove callback reference
+      delete callbacks[cid];
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      cb(err, res);
+    };
+
+    callbacks[cid] = done;
+
+    // Set callback timeout
+    timer = setTimeout(function () {
+      done(new Error('timeout'));
+    }, options.timeout || config.timeout);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    sendMessage(cid, 'request', uri, payload);
+    return cid;
+  }
+
+  /**
+   *      Send a request: request(uri, [payload], [options], [cb])
+   *
+   *      options: timeout (ms), signal (AbortSignal)
+   *      Without a callback, returns a Promise rejected on errors, timeout,
+   *      abort or returnValue false (with errorText and errorCode).
+   */
+  this.request = function (uri, payload, options, cb) {
+    var args = parseArgs(payload, options, cb);
+
+    if (typeof args.cb === 'function') {
+      sendRequest(uri, args.payload, args.options, args.cb);
+      return;
+    }
+
+    return new Promise(function (resolve, reject) {
+      sendRequest(uri, args.payload, args.options, function (err, res) {
+        if (!err && res && res.returnValue === false) {
+          err = responseError(res);
+        }
+        if (err) {
+          reject(err);
+        } else {
+          resolve(res);
+        }
+      });
+    });
+  };
+
+  /**
+   *      Subscribe to an uri: subscribe(uri, [payload], [options], [cb])
+   *
+   *      options: timeout (ms, for the first response), signal (AbortSignal, to unsubscribe)
+   *      Returns a handle: { id, uri, ready, unsubscribe() }, where ready is a
+   *      Promise resolved with the first response.
+   *      Subscriptions are sent once registered, and again after reconnections.
+   */
+  this.subscribe = function (uri, payload, options, cb) {
+    var args = parseArgs(payload, options, cb);
+    var signal = args.options.signal;
+    var cid = getCid();
+    var first = true;
+    var timer;
+    var resolveReady;
+    var rejectReady;
+
+    var handle = {
+      id: cid,
+      uri: uri,
+      ready: new Promise(function (resolve, reject) {
+        resolveReady = resolve;
+        rejectReady = reject;
+      }),
+      unsubscribe: function () {
+        clearTimeout(timer);
+        that.unsubscribe(cid);
+      }
+    };
+
+    // callers using only the callback are not interested in ready
+    handle.ready.catch(function () {});
+
+    if (signal && signal.aborted) {
+      rejectReady(abortError(signal));
+      return handle;
+    }
+
+    subscriptions[cid] = {
+      uri: uri,
+      payload: args.payload,
+      cb: function (err, res) {
+        if (first) {
+          first = false;
+          clearTimeout(timer);
+          if (!err && res && res.returnValue === false) {
+            rejectReady(responseError(res));
+          } else if (err) {
+            rejectReady(err);
+          } else {
+            resolveReady(res);
+          }
+        }
+
+        if (typeof args.cb === 'function') {
+          args.cb(err, res);
+        }
+      }
+    };
+
+    if (signal) {
+      signal.addEventListener('abort', function () {
+        handle.unsubscribe();
+        rejectReady(abortError(signal));
+      }, {once: true});
+    }
+
+    if (args.options.timeout) {
+      timer = setTimeout(function () {
+        if (first) {
+          rejectReady(new Error('timeout'));
+        }
+      }, args.options.timeout);
+    }
+
+    if (connection.connected && isPaired) {
+      sendMessage(cid, 'subscribe', uri, args.payload);
+    }
+
+    return handle;
+  };
+
+  /**
+   *      Cancel a subscription, by handle or id
+   *
+   */
+  this.unsubscribe = function (subscription) {
+    var cid = (subscription && subscription.id) || subscription;
+    var known = subscriptions[cid] || callbacks[cid];
+
+    delete subscriptions[cid];
+    delete callbacks[cid];
+
+    if (known && connection.connected) {
+      sendMessage(cid, 'unsubscribe');
+    }
   };
 
   this.send = function (type, uri, /* optional */ payload, /* optional */ cb) {
@@ -210,6 +522,10 @@ var LGTV = function (config) {
       return;
     }
 
+    if (type === 'request' && typeof cb === 'function') {
+      return sendRequest(uri, payload, {}, cb);
+    }
+
     var cid = getCid();
 
     var json = JSON.stringify({
@@ -221,23 +537,6 @@ var LGTV = function (config) {
 
     if (typeof cb === 'function') {
       switch (type) {
-        case 'request':
-          callbacks[cid] = function (err, res) {
-            // Remove callback reference
-            delete callbacks[cid];
-            cb(err, res);
-          };
-
-          // Set callback timeout
-          setTimeout(function () {
-            if (callbacks[cid]) {
-              cb(new Error('timeout'));
-            }
-            // Remove callback reference
-            delete callbacks[cid];
-          }, config.timeout);
-          break;
-
         case 'subscribe':
           callbacks[cid] = cb;
           break;
@@ -250,15 +549,20 @@ var LGTV = function (config) {
       }
     }
     connection.send(json);
+    return cid;
   };
 
   this.getSocket = function (url, cb) {
-    if (specializedSockets[url]) {
+    if (specializedSockets[url] && specializedSockets[url].isConnected()) {
       cb(null, specializedSockets[url]);
       return;
     }
+    delete specializedSockets[url];
 
     that.request(url, function (err, data) {
+      if (!err && (!data || data.returnValue === false || !data.socketPath)) {
+        err = data && data.returnValue === false ? responseError(data) : new Error('no socket path returned');
+      }
       if (err) {
         cb(err);
         return;
@@ -267,6 +571,12 @@ var LGTV = function (config) {
       var special = new WebSocketClient();
       special
         .on('connect', function (conn) {
+          if (stopped) {
+            conn.close();
+            cb(new Error('disconnected'));
+            return;
+          }
+
           conn
             .on('error', function (error) {
               that.emit('error', error);
@@ -280,9 +590,14 @@ var LGTV = function (config) {
         })
         .on('connectFailed', function (error) {
           that.emit('error', error);
+          cb(error);
         });
 
-      special.connect(data.socketPath, null, null, null, {rejectUnauthorized: false});
+      try {
+        special.connect(data.socketPath, null, null, null, {rejectUnauthorized: false});
+      } catch (error) {
+        cb(error);
+      }
     });
   };
 
@@ -291,32 +606,63 @@ var LGTV = function (config) {
    *
    */
   this.connect = function (host) {
+    stopped = false;
     autoReconnect = config.reconnect;
+    clearTimeout(reconnectTimer);
 
     if (connection.connected && !isPaired) {
       that.register();
     } else if (!connection.connected) {
       that.emit('connecting', host);
       connection = {};
+      connecting = true;
       client.connect(host, null, null, null, { rejectUnauthorized: false });
     }
   };
 
+  /**
+   *      Reset the reconnection backoff and connect now, unless already
+   *      connecting (ie: after waking the TV up)
+   */
+  this.reconnectNow = function () {
+    reconnectAttempts = 0;
+    if (stopped || connection.connected || connecting) {
+      return;
+    }
+
+    that.connect(config.url);
+  };
+
+  /**
+   *      Disconnect from TV, releasing subscriptions, timers and sockets
+   *
+   */
   this.disconnect = function () {
+    stopped = true;
+    autoReconnect = false;
+    clearTimeout(reconnectTimer);
+    clearInterval(pingTimer);
+    subscriptions = {};
+
     if (connection && connection.close) {
+      // pending requests are rejected once closed
       connection.close();
+    } else {
+      client.abort();
     }
-    autoReconnect = false;
 
     Object.keys(specializedSockets).forEach(
       function (k) {
         specializedSockets[k].close();
       }
     );
+    specializedSockets = {};
   };
 
   setTimeout(function () {
-    that.connect(config.url);
+    if (!stopped) {
+      that.connect(config.url);
+    }
   }, 0);
 };
 